@@ -7,9 +7,15 @@
  * - Mobile-responsive dropdown
  * - Displays: "Hledan (လှည်းတန်း) - Yankin Road, Yankin"
  * - Click selection support
+ * - Favourite stops (Home, Work, ...) shown first
+ * - Landmarks ("Sule Pagoda", "YGH") marked 🏛️ with their nearest stops:
+ *   "Near: Sule (80 m), ..."
+ * - One entry per station (same-name stops across the road), with the
+ *   routes serving it and where they head: "🚌 36, 43 · → Sule, Insein"
  *
  * Usage:
  * const autocomplete = new Autocomplete(inputElement, stopMatcher, {
+ *   routeIndex,   // Optional (defaults to the global one): routes and headsigns per entry
  *   onSelect: (stop) => console.log('Selected:', stop)
  * });
  */
@@ -23,9 +29,13 @@ class Autocomplete {
       maxResults: 8,         // Maximum suggestions to show
       debounceMs: 200,       // Delay before search (ms)
       onSelect: null,        // Callback when stop selected
+      favourites: null,      // () => [{ label, stopId }] - favourite stops shown first
+      routeIndex: null,      // RouteIndex for the routes serving each entry
       placeholder: 'Search stop name...',
       ...options
     };
+    this.routeIndex = this.options.routeIndex ||
+      (typeof routeIndex !== 'undefined' ? routeIndex : null);
 
     this.dropdown = null;
     this.selectedIndex = -1;
@@ -115,9 +125,13 @@ class Autocomplete {
       clearTimeout(this.debounceTimer);
     }
 
-    // Check minimum characters
+    // Check minimum characters (an empty input lists the favourites)
     if (query.length < this.options.minChars) {
-      this.close();
+      if (query.length === 0) {
+        this.showFavourites();
+      } else {
+        this.close();
+      }
       return;
     }
 
@@ -159,10 +173,12 @@ class Autocomplete {
   }
 
   /**
-   * Handle focus (reopen if has suggestions)
+   * Handle focus (favourites when empty, otherwise reopen suggestions)
    */
   onFocus() {
-    if (this.suggestions.length > 0) {
+    if (this.input.value.trim().length === 0) {
+      this.showFavourites();
+    } else if (this.suggestions.length > 0) {
       this.open();
     }
   }
@@ -201,8 +217,13 @@ class Autocomplete {
       return;
     }
 
-    // Perform search
-    const results = this.stopMatcher.search(query, this.options.maxResults);
+    // Perform search, one entry per station (favourites matching by label or name come first)
+    const favourites = this.getFavouriteStops(query);
+    const favouriteIds = new Set(favourites.map(stop => stop.id));
+    const results = favourites.concat(
+      this.stopMatcher.searchStations(query, this.options.maxResults)
+        .filter(stop => !(stop.stopIds || [stop.id]).some(id => favouriteIds.has(id)))
+    ).slice(0, this.options.maxResults);
 
     console.log(`[Autocomplete] Found ${results.length} results`);
 
@@ -217,6 +238,44 @@ class Autocomplete {
     this.open();
   }
 
+  /**
+   * Favourite stops as suggestions, optionally filtered by a query
+   * @param {string} [query] - Matches the favourite's label or stop name
+   * @returns {Array<Object>} - Stop objects with favouriteLabel set
+   */
+  getFavouriteStops(query = '') {
+    if (typeof this.options.favourites !== 'function') return [];
+
+    const norm = this.stopMatcher.normalize(query);
+    return this.options.favourites()
+      .map(favourite => {
+        const stop = this.stopMatcher.getStopById(favourite.stopId);
+        return stop ? { ...stop, favouriteLabel: favourite.label } : null;
+      })
+      .filter(stop => stop && (!norm ||
+        this.stopMatcher.normalize(stop.favouriteLabel).startsWith(norm) ||
+        this.stopMatcher.normalize(stop.name_en).includes(norm) ||
+        (stop.name_mm || '').includes(query)));
+  }
+
+  /**
+   * Show all favourite stops (empty input)
+   */
+  showFavourites() {
+    if (!this.stopMatcher || !this.stopMatcher.isInitialized) return;
+
+    const favourites = this.getFavouriteStops();
+    if (favourites.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.suggestions = favourites;
+    this.selectedIndex = -1;
+    this.renderSuggestions();
+    this.open();
+  }
+
   /**
    * Render suggestions in dropdown
    */
@@ -234,9 +293,16 @@ class Autocomplete {
         transition: background 0.2s;
       `;
 
-      // Format display text
-      const primaryText = this.formatStopName(stop);
-      const secondaryText = this.formatStopLocation(stop);
+      // Format display text (the favourite label is typed by the user: filled in as text below)
+      const primaryText = stop.favouriteLabel
+        ? `<span class="favourite-label" style="color: #e67e00;"></span> · ${this.formatStopName(stop)}`
+        : stop.type === 'landmark'
+          ? `🏛️ ${this.formatStopName(stop)}`
+          : this.formatStopName(stop);
+      const secondaryText = stop.type === 'landmark'
+        ? this.formatLandmarkStops(stop)
+        : this.formatStopLocation(stop);
+      const routesText = stop.type === 'landmark' ? '' : this.formatStopRoutes(stop);
 
       item.innerHTML = `
         <div style="font-weight: 500; color: #333; margin-bottom: 2px;">
@@ -245,7 +311,12 @@ class Autocomplete {
         <div style="font-size: 0.85em; color: #666;">
           ${secondaryText}
         </div>
+        ${routesText ? `<div style="font-size: 0.8em; color: #888; margin-top: 2px;">${routesText}</div>` : ''}
       `;
+      if (stop.favouriteLabel) {
+        item.querySelector('.favourite-label').textContent =
+          `${this.getFavouriteIcon(stop.favouriteLabel)} ${stop.favouriteLabel}`;
+      }
 
       // Hover effect
       item.addEventListener('mouseenter', () => {
@@ -277,6 +348,14 @@ class Autocomplete {
     return en;
   }
 
+  /**
+   * Icon for a favourite label
+   */
+  getFavouriteIcon(label) {
+    const icons = { home: '🏠', work: '💼' };
+    return icons[label.toLowerCase()] || '⭐';
+  }
+
   /**
    * Format stop location (Road, Township)
    */
@@ -294,6 +373,58 @@ class Autocomplete {
     return parts.join(', ') || 'Location unknown';
   }
 
+  /**
+   * Format the routes serving a stop or station and where they head
+   * ("🚌 15 (2 branches), 36, 43 · → Sule, Insein · 2 stops"); variants of a
+   * route number are listed once, by the number riders see on the bus
+   */
+  formatStopRoutes(stop) {
+    if (!this.routeIndex) return '';
+
+    const stopIds = stop.stopIds || [stop.id];
+    const routes = new Set();
+    const towards = new Set();
+    for (const stopId of stopIds) {
+      for (const routeKey of this.routeIndex.getRoutes(stopId)) routes.add(routeKey);
+      for (const { towardsStopId } of this.routeIndex.getHeadsigns(stopId)) {
+        const terminus = this.stopMatcher.getStopById(towardsStopId);
+        if (terminus) towards.add(terminus.name_en);
+      }
+    }
+    if (routes.size === 0) return 'No buses';
+
+    const list = (items, max) => {
+      const shown = Array.from(items).slice(0, max).join(', ');
+      return items.size > max ? `${shown} +${items.size - max}` : shown;
+    };
+
+    // Route number → variants of it serving the stop ("15" → 15-ShwePaukKan, 15-BoHmuBaHtoo)
+    const families = new Map();
+    for (const routeKey of routes) {
+      const family = this.routeIndex.getRouteFamily(routeKey) || routeKey;
+      families.set(family, (families.get(family) || 0) + 1);
+    }
+    const sorted = new Set(Array.from(families.keys())
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map(family => families.get(family) > 1 ? `${family} (${families.get(family)} branches)` : family));
+    const parts = [`🚌 ${list(sorted, 6)}`];
+    if (towards.size > 0) parts.push(`→ ${list(towards, 3)}`);
+    if (stopIds.length > 1) parts.push(`${stopIds.length} stops`);
+    return parts.join(' · ');
+  }
+
+  /**
+   * Format a landmark's nearest stops ("Near: Sule (80 m), Sule Pagoda (120 m)")
+   */
+  formatLandmarkStops(landmark) {
+    const stops = landmark.nearbyStops || [];
+    if (stops.length === 0) return 'Landmark · no stops nearby';
+
+    return 'Near: ' + stops
+      .map(({ stop, distance }) => `${stop.name_en} (${Math.round(distance)} m)`)
+      .join(', ');
+  }
+
   /**
    * Show no results message
    */
@@ -0,0 +1,540 @@
+/**
+ * DataLoader - Load stops, routes, schedules, landmarks, stop amenities and fares, cached in IndexedDB
+ *
+ * Problem: Every page load fetched stops.tsv and then each of the 100+
+ * route files one after another before anything could be shown.
+ * Solution:
+ * - The precompiled network bundle (data/network-bundle.json, see
+ *   js/networkBundle.js) is loaded when available: one compact file with
+ *   the StopMatcher and RouteIndex tables prebuilt
+ * - Otherwise route and schedule files are fetched in parallel batches
+ * - The decoded bundle or parsed dataset (and the built indexes) is kept in
+ *   IndexedDB. Repeat visits only fetch version.json to check a cached
+ *   bundle, or stops.tsv, the index files and version.json to check a cached
+ *   dataset, and load everything else from the cache
+ *
+ * Cache entry (database "ybs-data", store "datasets", key "current"):
+ * {
+ *   version: 3,               // cacheVersion - bump when the entry format changes
+ *   hash: "9f3a1c2e",         // Bundle: FNV-1a of the bundle format version and sourceHash
+ *                             // Raw files: FNV-1a of stops.tsv + routes-index.json + schedules-index.json
+ *                             //   + landmarks.tsv + stop-amenities.tsv + fares.json + version.json
+ *   fromBundle: true,
+ *   savedAt: 1718000000000,
+ *   stopsData, routesData, routesIndex, schedules,
+ *   landmarks,                // From landmarks.tsv (optional), see parseLandmarksTsv()
+ *   amenities,                // From stop-amenities.tsv (optional), see parseAmenitiesTsv()
+ *   fares,                    // fares.json (optional, null without it), the FareModel config
+ *   stopMatcher: { ... },     // StopMatcher cache (bundle only)
+ *   routeIndex: { ... }       // RouteIndex.exportForCache(), from the bundle or added after the first build
+ * }
+ *
+ * Route and schedule files are covered through version.json, written by
+ * tools/build-bundle.js with the sourceHash of every source file (fetching
+ * them all to hash them would defeat the cache). Without it, a cached bundle
+ * is not reused and only the index files are hashed for raw files: entries
+ * older than maxCacheAgeMs are reloaded, and an edited route file can be
+ * picked up immediately with dataLoader.clearCache().
+ *
+ * When the index files can't be fetched at all (offline), the last cached
+ * dataset is used regardless of its age.
+ *
+ * The bundle needs networkBundle.js on the page; without it (or when the
+ * bundle is missing or unreadable) the raw files are loaded.
+ *
+ * Usage:
+ * const data = await dataLoader.load({ onProgress: (loaded, total) => ... });
+ * dataLoader.buildStopMatcher(stopMatcher, data);
+ * await dataLoader.buildRouteIndex(routeIndex, data);
+ */
+
+class DataLoader {
+  constructor() {
+    this.baseUrl = 'data';
+    this.bundleFile = 'network-bundle.json';
+    this.versionFile = 'version.json';             // Source hash of all files, see tools/build-bundle.js
+    this.dbName = 'ybs-data';
+    this.storeName = 'datasets';
+    this.cacheKey = 'current';
+    this.cacheVersion = 3;                         // Bump when the cache entry format changes
+    this.batchSize = 12;                           // Files fetched in parallel
+    this.maxCacheAgeMs = 7 * 24 * 60 * 60 * 1000;  // Reload a week-old cache
+    this.current = null;                           // Cache entry of the last load()
+  }
+
+  /**
+   * Load the dataset (from the cache when it is still valid)
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - (loaded, total) while fetching route files
+   * @returns {Promise<Object>} - { stopsData, routesData, routesIndex, schedules, landmarks, amenities, fares,
+   *   stopMatcherCache, routeIndexCache, hash, fromCache, fromBundle }
+   */
+  async load(options = {}) {
+    const { onProgress = null } = options;
+    const startTime = performance.now();
+
+    const versionText = await this.fetchText(this.versionFile, true);
+
+    if (typeof networkBundle !== 'undefined') {
+      // A cached bundle is still current while version.json names the same sources
+      const sourceHash = this.parseSourceHash(versionText);
+      const cached = sourceHash ? await this.readCache() : null;
+      if (cached && cached.fromBundle && this.isCacheValid(cached, this.getBundleHash(sourceHash))) {
+        this.current = cached;
+        console.log(`[DataLoader] Loaded ${cached.routesData.length} routes from the cached network bundle in ${(performance.now() - startTime).toFixed(0)}ms`);
+        return this.toResult(cached, true);
+      }
+
+      const bundle = await this.loadBundle();
+      if (bundle) {
+        this.current = {
+          version: this.cacheVersion,
+          hash: this.getBundleHash(bundle.sourceHash),
+          fromBundle: true,
+          savedAt: Date.now(),
+          ...bundle.entry
+        };
+        await this.writeCache(this.current);
+
+        console.log(`[DataLoader] Loaded ${bundle.entry.routesData.length} routes from the network bundle in ${(performance.now() - startTime).toFixed(0)}ms`);
+        return this.toResult(this.current, false);
+      }
+    }
+
+    let stopsText, routesIndexText, schedulesIndexText, landmarksText, amenitiesText, faresText;
+    try {
+      [stopsText, routesIndexText, schedulesIndexText, landmarksText, amenitiesText, faresText] = await Promise.all([
+        this.fetchText('stops.tsv'),
+        this.fetchText('routes-index.json'),
+        this.fetchText('schedules-index.json', true),
+        this.fetchText('landmarks.tsv', true),
+        this.fetchText('stop-amenities.tsv', true),
+        this.fetchText('fares.json', true)
+      ]);
+    } catch (error) {
+      // Offline (and no service worker copy): use whatever dataset was cached last
+      const cached = await this.readCache();
+      if (!cached || cached.version !== this.cacheVersion) throw error;
+
+      this.current = cached;
+      console.warn('[DataLoader] Network unavailable, using cached data:', error.message);
+      return this.toResult(cached, true);
+    }
+
+    const hash = this.hashText(String(this.cacheVersion), stopsText, routesIndexText, schedulesIndexText || '',
+      landmarksText || '', amenitiesText || '', faresText || '', versionText || '');
+
+    const cached = await this.readCache();
+    if (cached && !cached.fromBundle && this.isCacheValid(cached, hash)) {
+      this.current = cached;
+      console.log(`[DataLoader] Loaded ${cached.routesData.length} routes from cache in ${(performance.now() - startTime).toFixed(0)}ms`);
+      return this.toResult(cached, true);
+    }
+
+    const routesIndex = JSON.parse(routesIndexText);
+    const stopsData = this.parseStopsTsv(stopsText);
+    const routesData = await this.fetchRoutes(routesIndex, onProgress);
+    const schedules = schedulesIndexText ? await this.fetchSchedules(JSON.parse(schedulesIndexText)) : [];
+    const landmarks = landmarksText ? this.parseLandmarksTsv(landmarksText) : [];
+    const amenities = amenitiesText ? this.parseAmenitiesTsv(amenitiesText) : [];
+    const fares = faresText ? JSON.parse(faresText) : null;
+
+    this.current = {
+      version: this.cacheVersion,
+      hash,
+      fromBundle: false,
+      savedAt: Date.now(),
+      stopsData,
+      routesData,
+      routesIndex,
+      schedules,
+      landmarks,
+      amenities,
+      fares,
+      routeIndex: null
+    };
+    await this.writeCache(this.current);
+
+    console.log(`[DataLoader] Loaded ${Object.keys(stopsData).length} stops, ${routesData.length} routes in ${(performance.now() - startTime).toFixed(0)}ms`);
+    return this.toResult(this.current, false);
+  }
+
+  /**
+   * Whether a cache entry can be used for a dataset hash
+   * @param {Object|null} entry
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  isCacheValid(entry, hash) {
+    return Boolean(entry) && entry.version === this.cacheVersion && entry.hash === hash &&
+      Date.now() - entry.savedAt < this.maxCacheAgeMs;
+  }
+
+  /**
+   * sourceHash of version.json
+   * @param {string|null} text
+   * @returns {string|null}
+   */
+  parseSourceHash(text) {
+    try {
+      const version = JSON.parse(text);
+      return version && typeof version.sourceHash === 'string' ? version.sourceHash : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Cache key of a decoded bundle: a new bundle format (e.g. re-derived
+   * patterns) replaces the cached copy even when the data is unchanged
+   * @param {string} sourceHash
+   * @returns {string}
+   */
+  getBundleHash(sourceHash) {
+    return this.hashText(String(this.cacheVersion), String(networkBundle.version), sourceHash);
+  }
+
+  /**
+   * Load and decode the network bundle
+   * @returns {Promise<Object|null>} - { sourceHash, entry } (entry in cache entry form), or null to
+   *   load the raw files
+   */
+  async loadBundle() {
+    if (typeof networkBundle === 'undefined') return null;
+
+    const text = await this.fetchText(this.bundleFile, true);
+    if (!text) return null;
+
+    try {
+      const data = networkBundle.decode(JSON.parse(text));
+      return {
+        sourceHash: data.sourceHash,
+        entry: {
+          stopsData: data.stopsData,
+          routesData: data.routesData,
+          routesIndex: data.routesIndex,
+          schedules: data.schedules,
+          landmarks: data.landmarks,
+          amenities: data.amenities,
+          fares: data.fares,
+          stopMatcher: data.stopMatcherCache,
+          routeIndex: data.routeIndexCache
+        }
+      };
+    } catch (error) {
+      console.warn('[DataLoader] Could not read the network bundle, loading raw files:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Initialize a StopMatcher from the prebuilt index, or build it, and add the
+   * landmarks and stop amenities
+   * @param {Object} stopMatcher - StopMatcher instance
+   * @param {Object} data - Result of load()
+   */
+  buildStopMatcher(stopMatcher, data) {
+    if (!data.stopMatcherCache || !stopMatcher.importFromCache(data.stopsData, data.stopMatcherCache)) {
+      stopMatcher.initialize(data.stopsData);
+    }
+    stopMatcher.setLandmarks(data.landmarks || []);
+    stopMatcher.setAmenities(data.amenities || []);
+  }
+
+  /**
+   * Initialize a RouteIndex from the cached index, or build it and cache it
+   * @param {Object} routeIndex - RouteIndex instance
+   * @param {Object} data - Result of load()
+   * @returns {Promise<void>}
+   */
+  async buildRouteIndex(routeIndex, data) {
+    if (data.routeIndexCache && routeIndex.importFromCache(data.routeIndexCache)) return;
+
+    await routeIndex.initialize(data.routesData, data.stopsData);
+
+    if (this.current && this.current.hash === data.hash) {
+      this.current.routeIndex = routeIndex.exportForCache();
+      await this.writeCache(this.current);
+    }
+  }
+
+  /**
+   * Page-facing view of a cache entry
+   */
+  toResult(entry, fromCache) {
+    return {
+      stopsData: entry.stopsData,
+      routesData: entry.routesData,
+      routesIndex: entry.routesIndex,
+      schedules: entry.schedules,
+      landmarks: entry.landmarks || [],
+      amenities: entry.amenities || [],
+      fares: entry.fares || null,
+      stopMatcherCache: entry.stopMatcher || null,
+      routeIndexCache: entry.routeIndex,
+      hash: entry.hash,
+      fromCache,
+      fromBundle: Boolean(entry.fromBundle)
+    };
+  }
+
+  /**
+   * Fetch a data file as text
+   * @param {string} path - Relative to baseUrl
+   * @param {boolean} [optional] - Return null instead of throwing when missing
+   * @returns {Promise<string|null>}
+   */
+  async fetchText(path, optional = false) {
+    try {
+      const response = await fetch(`${this.baseUrl}/${path}`);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return await response.text();
+    } catch (error) {
+      if (optional) return null;
+      throw new Error(`Could not load ${path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse stops.tsv (all columns, by header) into id → stop
+   * @param {string} text
+   * @returns {Object}
+   */
+  parseStopsTsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const columns = lines[0].split('\t');
+    const stopsData = {};
+
+    for (const line of lines.slice(1)) {
+      const values = line.split('\t');
+      const stop = {};
+      columns.forEach((column, i) => { stop[column] = values[i] !== undefined ? values[i] : ''; });
+      stop.lat = parseFloat(stop.lat);
+      stop.lng = parseFloat(stop.lng);
+      stopsData[stop.id] = stop;
+    }
+
+    return stopsData;
+  }
+
+  /**
+   * Parse landmarks.tsv: places people search for that are not stop names
+   * (columns id, name_en, name_mm, lat, lng, stop_ids, aliases; stop_ids
+   * comma-separated, aliases separated by |)
+   * @param {string} text
+   * @returns {Array<Object>} - [{ id, name_en, name_mm, lat, lng, stopIds, aliases }]
+   */
+  parseLandmarksTsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    const columns = lines[0].split('\t');
+    const list = (value, separator) => (value || '').split(separator).map(item => item.trim()).filter(item => item);
+
+    return lines.slice(1).map(line => {
+      const values = line.split('\t');
+      const row = {};
+      columns.forEach((column, i) => { row[column] = values[i] !== undefined ? values[i] : ''; });
+      return {
+        id: row.id,
+        name_en: row.name_en,
+        name_mm: row.name_mm || '',
+        lat: parseFloat(row.lat),
+        lng: parseFloat(row.lng),
+        stopIds: list(row.stop_ids, ','),
+        aliases: list(row.aliases, '|')
+      };
+    });
+  }
+
+  /**
+   * Parse stop-amenities.tsv: what is at a stop (columns stop_id, shelter,
+   * step_free, lighting as yes / no / empty for unknown, and landmarks
+   * separated by |)
+   * @param {string} text
+   * @returns {Array<Object>} - [{ stopId, shelter, stepFree, lighting, landmarks }]
+   *   (true, false or null when unknown)
+   */
+  parseAmenitiesTsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return [];
+
+    const columns = lines[0].split('\t');
+    const flag = value => {
+      const normalized = (value || '').trim().toLowerCase();
+      if (['yes', 'y', '1', 'true'].includes(normalized)) return true;
+      if (['no', 'n', '0', 'false'].includes(normalized)) return false;
+      return null;
+    };
+
+    return lines.slice(1).map(line => {
+      const values = line.split('\t');
+      const row = {};
+      columns.forEach((column, i) => { row[column] = values[i] !== undefined ? values[i] : ''; });
+      return {
+        stopId: row.stop_id.trim(),
+        shelter: flag(row.shelter),
+        stepFree: flag(row.step_free),
+        lighting: flag(row.lighting),
+        landmarks: (row.landmarks || '').split('|').map(item => item.trim()).filter(item => item)
+      };
+    });
+  }
+
+  /**
+   * Fetch every route file listed in routes-index.json (in index order)
+   * @param {Object} routesIndex - route number → file names
+   * @param {Function|null} onProgress
+   * @returns {Promise<Array<Object>>} - Routes with route_num and file set
+   */
+  async fetchRoutes(routesIndex, onProgress) {
+    const entries = [];
+    for (const [routeNum, files] of Object.entries(routesIndex)) {
+      for (const file of files) entries.push({ routeNum, file });
+    }
+
+    let loaded = 0;
+    const routes = await this.fetchInBatches(entries, async ({ routeNum, file }) => {
+      try {
+        const route = JSON.parse(await this.fetchText(`routes/${file}`));
+        return { ...route, route_num: routeNum, file };
+      } catch (error) {
+        console.warn(`[DataLoader] Could not load ${file}`);
+        return null;
+      } finally {
+        loaded++;
+        if (onProgress) onProgress(loaded, entries.length);
+      }
+    });
+
+    return routes.filter(route => route);
+  }
+
+  /**
+   * Fetch the schedule files listed in schedules-index.json
+   * @param {Object} schedulesIndex
+   * @returns {Promise<Array<Object>>}
+   */
+  async fetchSchedules(schedulesIndex) {
+    const files = Object.values(schedulesIndex).flat();
+
+    const schedules = await this.fetchInBatches(files, async file => {
+      try {
+        return JSON.parse(await this.fetchText(`schedules/${file}`));
+      } catch (error) {
+        console.warn(`[DataLoader] Could not load schedule ${file}`);
+        return null;
+      }
+    });
+
+    return schedules.filter(schedule => schedule);
+  }
+
+  /**
+   * Run an async function over items, batchSize at a time
+   * @param {Array} items
+   * @param {Function} fn - async (item) => result
+   * @returns {Promise<Array>} - Results in item order
+   */
+  async fetchInBatches(items, fn) {
+    const results = [];
+    for (let i = 0; i < items.length; i += this.batchSize) {
+      const batch = items.slice(i, i + this.batchSize);
+      results.push(...await Promise.all(batch.map(fn)));
+    }
+    return results;
+  }
+
+  /**
+   * FNV-1a hash of some texts (hex)
+   * @param {...string} texts
+   * @returns {string}
+   */
+  hashText(...texts) {
+    let hash = 0x811c9dc5;
+    for (const text of texts) {
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      hash ^= 0xff;  // Separator, so ("ab", "c") and ("a", "bc") differ
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Open the cache database (null when IndexedDB is unavailable)
+   * @returns {Promise<IDBDatabase|null>}
+   */
+  openDb() {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    return new Promise(resolve => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[DataLoader] IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+
+  /**
+   * Run one request against the cache store
+   * @param {string} mode - 'readonly' | 'readwrite'
+   * @param {Function} makeRequest - (store) => IDBRequest
+   * @returns {Promise<*>} - Request result (undefined on failure)
+   */
+  async withStore(mode, makeRequest) {
+    const db = await this.openDb();
+    if (!db) return undefined;
+
+    return new Promise(resolve => {
+      try {
+        const transaction = db.transaction(this.storeName, mode);
+        const request = makeRequest(transaction.objectStore(this.storeName));
+        transaction.oncomplete = () => { db.close(); resolve(request.result); };
+        transaction.onerror = transaction.onabort = () => {
+          console.warn('[DataLoader] Cache request failed:', transaction.error);
+          db.close();
+          resolve(undefined);
+        };
+      } catch (error) {
+        console.warn('[DataLoader] Cache request failed:', error);
+        db.close();
+        resolve(undefined);
+      }
+    });
+  }
+
+  /**
+   * Read the cached dataset
+   * @returns {Promise<Object|null>}
+   */
+  async readCache() {
+    return (await this.withStore('readonly', store => store.get(this.cacheKey))) || null;
+  }
+
+  /**
+   * Store a dataset entry (failures, e.g. quota, are logged and ignored)
+   * @param {Object} entry
+   */
+  async writeCache(entry) {
+    await this.withStore('readwrite', store => store.put(entry, this.cacheKey));
+  }
+
+  /**
+   * Drop the cached dataset (next load() fetches everything)
+   */
+  async clearCache() {
+    await this.withStore('readwrite', store => store.delete(this.cacheKey));
+    console.log('[DataLoader] Cache cleared');
+  }
+}
+
+// Export as singleton instance
+const dataLoader = new DataLoader();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = dataLoader;
+}
@@ -0,0 +1,121 @@
+/**
+ * FareModel - Fares for journeys
+ *
+ * Model:
+ * - Each bus boarding pays a fare, by the rule for the route's agency
+ *   (agency_id) or the default rule
+ * - A rule is a flat fare ({ fare: 200 }) or distance bands by the km ridden
+ *   ({ bands: [{ upToKm: 20, fare: 200 }, { fare: 300 }] }, first band that fits)
+ * - Paying by card can cost less than cash (cardDiscount, a share of each fare)
+ * - Boardings after the first can be discounted (transferDiscount, Ks per
+ *   transfer by payment method)
+ *
+ * Fares are in kyat (Ks). The defaults follow the usual YBS fares; agencies
+ * with other fares (e.g. express or airport buses) get their own rule.
+ *
+ * The pages read the config from data/fares.json (optional, same keys as
+ * the config below), so fares can be changed without editing code. The
+ * payment method only matters when the config has a card or transfer
+ * discount (see hasPaymentChoice).
+ *
+ * Usage:
+ * const fareModel = new FareModel(dataset.fares);  // e.g. { rules: { YUPT: { fare: 300 } } }
+ * fareModel.annotatePath(path, 'card');
+ * console.log(path.fare);  // Ks
+ */
+
+class FareModel {
+  constructor(config = {}) {
+    this.config = {
+      defaultRule: {                // Rule for agencies without their own
+        bands: [
+          { upToKm: 20, fare: 200 },
+          { fare: 300 }
+        ]
+      },
+      rules: {},                    // agency_id → rule (e.g. { "YUPT": { fare: 300 } })
+      payment: 'cash',              // Default payment method: 'cash' or 'card'
+      cardDiscount: 0,              // Share of each fare off when paying by card (0-1)
+      transferDiscount: { cash: 0, card: 0 },  // Ks off each boarding after the first
+      ...config
+    };
+  }
+
+  /**
+   * Whether paying by card or cash can change a fare (a card discount in the
+   * config or any rule, or transfer discounts that differ by payment method)
+   * @returns {boolean}
+   */
+  hasPaymentChoice() {
+    const { cardDiscount, transferDiscount, defaultRule, rules } = this.config;
+    return cardDiscount > 0 ||
+      (transferDiscount.cash || 0) !== (transferDiscount.card || 0) ||
+      [defaultRule, ...Object.values(rules)].some(rule => rule.cardDiscount > 0);
+  }
+
+  /**
+   * Fare rule for an agency
+   * @param {string} [agencyId]
+   * @returns {Object} - { fare } or { bands }, plus an optional cardDiscount
+   */
+  getRule(agencyId) {
+    return (agencyId && this.config.rules[agencyId]) || this.config.defaultRule;
+  }
+
+  /**
+   * Annotate a path's bus legs with fare and fareDiscount (Ks off the cash
+   * fare), and the path with fare and farePayment
+   * @param {Object} path - Path object from PathFinder
+   * @param {string} [payment] - 'cash' or 'card' (default: config.payment)
+   * @returns {Object} - The same path, annotated
+   */
+  annotatePath(path, payment = this.config.payment) {
+    let boardings = 0;
+
+    for (const leg of path.legs) {
+      if (leg.type !== 'bus') continue;
+      this.annotateBusLeg(leg, payment, boardings > 0);
+      boardings++;
+    }
+
+    path.fare = path.legs.reduce((sum, leg) => sum + (leg.fare || 0), 0);
+    path.farePayment = payment;
+    return path;
+  }
+
+  /**
+   * Annotate a bus leg with fare and fareDiscount
+   * @param {Object} leg - Bus leg (agencyId, distance in km)
+   * @param {string} payment - 'cash' or 'card'
+   * @param {boolean} isTransfer - Whether this bus is boarded after another bus
+   */
+  annotateBusLeg(leg, payment, isTransfer) {
+    const rule = this.getRule(leg.agencyId);
+    const baseFare = this.getBaseFare(rule, leg.distance || 0);
+
+    const cardDiscount = payment === 'card' ? (rule.cardDiscount ?? this.config.cardDiscount) : 0;
+    const transferDiscount = isTransfer ? (this.config.transferDiscount[payment] || 0) : 0;
+    const fare = Math.max(0, Math.round(baseFare * (1 - cardDiscount)) - transferDiscount);
+
+    leg.fare = fare;
+    leg.fareDiscount = baseFare - fare;
+  }
+
+  /**
+   * Cash fare of a rule for a ride
+   * @param {Object} rule
+   * @param {number} km - Distance ridden
+   * @returns {number} - Ks
+   */
+  getBaseFare(rule, km) {
+    if (!rule.bands) return rule.fare || 0;
+
+    const band = rule.bands.find(band => band.upToKm === undefined || km <= band.upToKm);
+    return band ? band.fare : rule.bands[rule.bands.length - 1].fare;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FareModel;
+}
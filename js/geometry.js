@@ -0,0 +1,356 @@
+/**
+ * RouteGeometry - Linear referencing of stops along route shapes
+ *
+ * Problem: Route shapes and stop lists are separate; slicing the polyline by
+ * stop index ratio assumes evenly spaced stops and cuts legs in the wrong place.
+ * Solution: Project every stop of a route onto its shape once (in stop order,
+ * never moving backwards) and keep the distance along the shape ("measure")
+ * of each stop. Legs are then exact sub-polylines between two measures.
+ * Round-trip routes whose shape is drawn one way only are treated as running
+ * the same line back.
+ *
+ * Data structure (per route pattern, see RouteIndex, built lazily and cached):
+ * {
+ *   points:       [{ lat, lng }],  // Shape vertices
+ *   measures:     [0, 112, ...],   // Metres along the shape at each vertex
+ *   stopMeasures: [0, 340, ...],   // Metres along the shape at each stop position
+ *   stopOffsets:  [4, 12, ...],    // Metres from each stop to its snapped point
+ *   stopSnapped:  [true, ...]      // false where no shape point was close enough
+ * }
+ *
+ * Usage:
+ * routeGeometry.initialize(routeIndex, stopMatcher);
+ * const latLngs = routeGeometry.getSegment('1', 3, 9);       // [[lat, lng], ...]
+ * const meters = routeGeometry.getAlongDistance('1', 3, 9);
+ */
+
+class RouteGeometry {
+  constructor() {
+    this.routeIndex = null;
+    this.stopMatcher = null;
+    this.cache = new Map();             // patternKey → pattern geometry (or null)
+    this.snapToleranceMeters = 50;      // Prefer the earliest projection this close to the best
+    this.maxSnapMeters = 500;           // Stops further than this from the shape are not snapped
+    this.roundTripMeters = 1000;        // Route ends closer than this count as a round trip
+    this.detourFactor = 3;              // Along-shape distance may be this × straight line...
+    this.minWindowMeters = 1500;        // ...or at least this far, from one stop to the next
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize with the route index and stop matcher
+   * @param {RouteIndex} routeIndex
+   * @param {StopMatcher} stopMatcher
+   */
+  initialize(routeIndex, stopMatcher) {
+    this.routeIndex = routeIndex;
+    this.stopMatcher = stopMatcher;
+    this.cache.clear();
+    this.isInitialized = true;
+  }
+
+  /**
+   * Get (building if needed) the linear referencing data of a route pattern
+   * @param {string} patternKey - Pattern key (a plain route key also works)
+   * @returns {Object|null} - null when the route has no usable shape
+   */
+  getRouteGeometry(patternKey) {
+    if (!this.cache.has(patternKey)) {
+      this.cache.set(patternKey, this.buildRouteGeometry(patternKey));
+    }
+    return this.cache.get(patternKey);
+  }
+
+  /**
+   * Project the stops of a route pattern onto the route's shape
+   * Loop patterns (the cycle unrolled twice) get the shape repeated too.
+   * @param {string} patternKey - Pattern key (a plain route key also works)
+   * @returns {Object|null}
+   */
+  buildRouteGeometry(patternKey) {
+    const pattern = this.routeIndex.getPattern(patternKey);
+    const route = this.routeIndex.getRouteData(pattern ? pattern.routeKey : patternKey);
+    const coords = route && route.shape && route.shape.geometry && route.shape.geometry.coordinates;
+    if (!Array.isArray(coords) || coords.length < 2) return null;
+
+    const stops = this.routeIndex.getPatternStops(patternKey).map(id => this.stopMatcher.getStopById(id));
+    if (stops.length === 0 || stops.some(stop => !stop)) return null;
+
+    const isLoop = Boolean(pattern) && pattern.type === 'loop';
+    const run = isLoop ? stops.slice(0, pattern.cycleLength + 1) : stops;
+    let points = this.orientShape(coords.map(c => ({ lat: c[1], lng: c[0] })), run);
+    if (isLoop) {
+      points = points.concat(points.slice(1));
+    }
+
+    const measures = this.buildMeasures(points);
+    const stopMeasures = [];
+    const stopOffsets = [];
+    const stopSnapped = [];
+    let from = { segment: 0, t: 0, measure: 0 };
+    let lastSnapped = null;
+
+    for (const stop of stops) {
+      // Search only as far along the shape as the bus could plausibly have driven
+      const maxMeasure = lastSnapped
+        ? from.measure + Math.max(this.minWindowMeters, this.getDistanceMeters(lastSnapped, stop) * this.detourFactor)
+        : Infinity;
+      const projection = this.projectOntoLine(points, measures, stop, from, maxMeasure);
+      const snapped = projection.distance <= this.maxSnapMeters;
+
+      if (snapped) {
+        from = projection;
+        lastSnapped = stop;
+      }
+      stopMeasures.push(from.measure);
+      stopOffsets.push(projection.distance);
+      stopSnapped.push(snapped);
+    }
+
+    return { points, measures, stopMeasures, stopOffsets, stopSnapped };
+  }
+
+  /**
+   * Orient a shape like the stop list
+   * - Shapes drawn end → start are reversed
+   * - Round trips (last stop back near the first) drawn one way only are
+   *   extended with the same line back, so the return stops can snap
+   * @param {Array<Object>} points
+   * @param {Array<Object>} stops
+   * @returns {Array<Object>}
+   */
+  orientShape(points, stops) {
+    const firstStop = stops[0];
+    const lastStop = stops[stops.length - 1];
+    const start = points[0];
+    const end = points[points.length - 1];
+
+    const isRoundTrip = this.getDistanceMeters(firstStop, lastStop) < this.roundTripMeters;
+    const isOpenShape = this.getDistanceMeters(start, end) >= this.roundTripMeters;
+
+    if (isRoundTrip && isOpenShape) {
+      const outbound = this.getDistanceMeters(firstStop, end) < this.getDistanceMeters(firstStop, start)
+        ? points.slice().reverse()
+        : points;
+      return outbound.concat(outbound.slice(0, -1).reverse());
+    }
+
+    // Closed round trips: both ends snap to the same place, so compare
+    // stops a quarter and three quarters of the way round instead
+    const [early, late] = isRoundTrip
+      ? [stops[Math.floor(stops.length / 4)], stops[Math.floor(stops.length * 3 / 4)]]
+      : [firstStop, lastStop];
+
+    const measures = this.buildMeasures(points);
+    const first = this.projectOntoLine(points, measures, early);
+    const last = this.projectOntoLine(points, measures, late);
+    return first.measure > last.measure ? points.slice().reverse() : points;
+  }
+
+  /**
+   * Cumulative metres along a polyline at each vertex
+   * @param {Array<Object>} points
+   * @returns {Array<number>}
+   */
+  buildMeasures(points) {
+    const measures = [0];
+    for (let i = 1; i < points.length; i++) {
+      measures.push(measures[i - 1] + this.getDistanceMeters(points[i - 1], points[i]));
+    }
+    return measures;
+  }
+
+  /**
+   * Project a point onto a polyline, at or after a previous projection
+   * Among projections within snapToleranceMeters of the closest one, the
+   * earliest wins, so a loop's last stop is not snapped to its start.
+   * @param {Array<Object>} points
+   * @param {Array<number>} measures
+   * @param {Object} point - { lat, lng }
+   * @param {Object} [from] - Earlier projection { segment, t } to start from
+   * @param {number} [maxMeasure] - Ignore segments starting further along than this
+   * @returns {Object} - { segment, t, measure, lat, lng, distance }
+   */
+  projectOntoLine(points, measures, point, from = { segment: 0, t: 0 }, maxMeasure = Infinity) {
+    const candidates = [];
+
+    for (let i = from.segment; i < points.length - 1; i++) {
+      if (i > from.segment && measures[i] > maxMeasure) break;
+      const minT = i === from.segment ? from.t : 0;
+      candidates.push(this.projectOntoSegment(points, measures, i, point, minT));
+    }
+
+    const best = Math.min(...candidates.map(c => c.distance));
+    return candidates.find(c => c.distance <= best + this.snapToleranceMeters);
+  }
+
+  /**
+   * Project a point onto one polyline segment (local flat-earth approximation)
+   * @param {Array<Object>} points
+   * @param {Array<number>} measures
+   * @param {number} i - Segment index (points[i] → points[i + 1])
+   * @param {Object} point
+   * @param {number} minT - Smallest allowed position on the segment (0–1)
+   * @returns {Object} - { segment, t, measure, lat, lng, distance }
+   */
+  projectOntoSegment(points, measures, i, point, minT = 0) {
+    const a = points[i];
+    const b = points[i + 1];
+    const cosLat = Math.cos(point.lat * Math.PI / 180);
+
+    const dx = (b.lng - a.lng) * cosLat;
+    const dy = b.lat - a.lat;
+    const px = (point.lng - a.lng) * cosLat;
+    const py = point.lat - a.lat;
+    const lengthSquared = dx * dx + dy * dy;
+
+    let t = lengthSquared > 0 ? (px * dx + py * dy) / lengthSquared : 0;
+    t = Math.max(minT, Math.min(1, t));
+
+    const lat = a.lat + (b.lat - a.lat) * t;
+    const lng = a.lng + (b.lng - a.lng) * t;
+
+    return {
+      segment: i,
+      t,
+      measure: measures[i] + (measures[i + 1] - measures[i]) * t,
+      lat,
+      lng,
+      distance: this.getDistanceMeters(point, { lat, lng })
+    };
+  }
+
+  /**
+   * Distance along the route shape between two stop positions
+   * @param {string} patternKey
+   * @param {number} fromIndex - Position of the boarding stop in the route
+   * @param {number} toIndex - Position of the alighting stop in the route
+   * @returns {number|null} - Metres, or null when the shape cannot be used
+   */
+  getAlongDistance(patternKey, fromIndex, toIndex) {
+    const geometry = this.getRouteGeometry(patternKey);
+    if (!this.isSnapped(geometry, fromIndex, toIndex)) return null;
+
+    return geometry.stopMeasures[toIndex] - geometry.stopMeasures[fromIndex];
+  }
+
+  /**
+   * Check that both stops of a leg snapped onto the shape in order
+   * @param {Object|null} geometry
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @returns {boolean}
+   */
+  isSnapped(geometry, fromIndex, toIndex) {
+    return Boolean(geometry) &&
+      geometry.stopSnapped[fromIndex] &&
+      geometry.stopSnapped[toIndex] &&
+      geometry.stopMeasures[toIndex] > geometry.stopMeasures[fromIndex];
+  }
+
+  /**
+   * Sub-polyline of the route shape between two stop positions
+   * Falls back to the stop locations when the stops do not snap to the shape.
+   * @param {string} patternKey
+   * @param {number} fromIndex
+   * @param {number} toIndex
+   * @returns {Array<Array<number>>} - [[lat, lng], ...] (Leaflet order)
+   */
+  getSegment(patternKey, fromIndex, toIndex) {
+    const geometry = this.getRouteGeometry(patternKey);
+
+    if (!this.isSnapped(geometry, fromIndex, toIndex)) {
+      return this.routeIndex.getPatternStops(patternKey)
+        .slice(fromIndex, toIndex + 1)
+        .map(id => this.stopMatcher.getStopById(id))
+        .filter(stop => stop)
+        .map(stop => [stop.lat, stop.lng]);
+    }
+
+    const { points, measures } = geometry;
+    const start = geometry.stopMeasures[fromIndex];
+    const end = geometry.stopMeasures[toIndex];
+    const latLngs = [this.pointAtMeasure(points, measures, start)];
+
+    for (let i = 0; i < points.length; i++) {
+      if (measures[i] > start && measures[i] < end) {
+        latLngs.push([points[i].lat, points[i].lng]);
+      }
+    }
+
+    latLngs.push(this.pointAtMeasure(points, measures, end));
+    return latLngs;
+  }
+
+  /**
+   * Interpolate the point at a distance along a polyline
+   * @param {Array<Object>} points
+   * @param {Array<number>} measures
+   * @param {number} measure - Metres along the line
+   * @returns {Array<number>} - [lat, lng]
+   */
+  pointAtMeasure(points, measures, measure) {
+    for (let i = 0; i < points.length - 1; i++) {
+      if (measure <= measures[i + 1]) {
+        const length = measures[i + 1] - measures[i];
+        const t = length > 0 ? (measure - measures[i]) / length : 0;
+        return [
+          points[i].lat + (points[i + 1].lat - points[i].lat) * t,
+          points[i].lng + (points[i + 1].lng - points[i].lng) * t
+        ];
+      }
+    }
+
+    const last = points[points.length - 1];
+    return [last.lat, last.lng];
+  }
+
+  /**
+   * Distance from each stop of a route to its snapped point on the shape
+   * @param {string} patternKey
+   * @returns {Array<number>|null} - Metres per stop position
+   */
+  getStopOffsets(patternKey) {
+    const geometry = this.getRouteGeometry(patternKey);
+    return geometry ? geometry.stopOffsets : null;
+  }
+
+  /**
+   * Distance from a point to the nearest point of a route pattern's shape
+   * @param {string} patternKey
+   * @param {Object} point - { lat, lng }
+   * @returns {number|null} - Metres, or null when the route has no usable shape
+   */
+  getDistanceToShape(patternKey, point) {
+    const geometry = this.getRouteGeometry(patternKey);
+    if (!geometry) return null;
+
+    return this.projectOntoLine(geometry.points, geometry.measures, point).distance;
+  }
+
+  /**
+   * Distance between two points (Haversine formula)
+   * @param {Object} point1 - { lat, lng }
+   * @param {Object} point2 - { lat, lng }
+   * @returns {number} - Distance in metres
+   */
+  getDistanceMeters(point1, point2) {
+    const R = 6371000; // Earth's radius in metres
+    const dLat = (point2.lat - point1.lat) * Math.PI / 180;
+    const dLon = (point2.lng - point1.lng) * Math.PI / 180;
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+             Math.cos(point1.lat * Math.PI / 180) * Math.cos(point2.lat * Math.PI / 180) *
+             Math.sin(dLon/2) * Math.sin(dLon/2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  }
+}
+
+// Export as singleton instance
+const routeGeometry = new RouteGeometry();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = routeGeometry;
+}
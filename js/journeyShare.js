@@ -0,0 +1,221 @@
+/**
+ * JourneyShare - Deep links and bilingual itineraries for sharing journeys
+ *
+ * Link format (journey-planner.html query string):
+ *   ?from=123&to=456&time=08:30&transfers=2&rank=score&pay=card&amenities=stepFree,shelter&path=1
+ *
+ * - from / to: stop or landmark ID, or "lat,lng" for a map point
+ * - time: departure time (HH:MM, today); results depend on it, so the time
+ *   the journey was planned for is always included
+ * - transfers: max transfers, rank: ranking profile (a PathFinder.getRankingProfiles()
+ *   name, checked against the names the page passes to parseUrl)
+ * - pay: payment method the fares are for ('cash' or 'card', see FareModel)
+ * - amenities: amenities required at transfer stops (see StopMatcher.getAmenities),
+ *   checked against the names the page passes to parseUrl
+ * - path: index of the selected journey option
+ *
+ * Sharing uses the Web Share API where available, and copies the
+ * itinerary and link to the clipboard otherwise.
+ */
+
+class JourneyShare {
+  /**
+   * Build a deep link for a journey
+   * @param {string} baseUrl - Page URL (query and hash are replaced)
+   * @param {Object} state - { origin, destination, time, maxTransfers, rankBy, payment,
+   *   requiredAmenities, pathIndex }
+   *   origin/destination are stop objects or map points ({ id: null, lat, lng })
+   * @returns {string}
+   */
+  buildUrl(baseUrl, state) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = '';
+
+    url.searchParams.set('from', this.encodePlace(state.origin));
+    url.searchParams.set('to', this.encodePlace(state.destination));
+    if (state.time) url.searchParams.set('time', state.time);
+    if (Number.isInteger(state.maxTransfers)) url.searchParams.set('transfers', state.maxTransfers);
+    if (state.rankBy) url.searchParams.set('rank', state.rankBy);
+    if (state.payment) url.searchParams.set('pay', state.payment);
+    if (state.requiredAmenities && state.requiredAmenities.length > 0) {
+      url.searchParams.set('amenities', state.requiredAmenities.join(','));
+    }
+    if (Number.isInteger(state.pathIndex)) url.searchParams.set('path', state.pathIndex);
+
+    return url.toString();
+  }
+
+  /**
+   * Parse a deep link's query string
+   * @param {string} search - e.g. location.search
+   * @param {Object} [choices] - Values the page accepts
+   * @param {Array<string>} [choices.rankModes] - Ranking profile names (without them, rank is left out)
+   * @param {Array<string>} [choices.amenities] - Amenity names (without them, amenities are left out)
+   * @returns {Object|null} - { from, to, time, maxTransfers, rankBy, payment, requiredAmenities,
+   *   pathIndex } or null
+   *   from/to are { stopId } or { lat, lng }; invalid optional values are left out
+   */
+  parseUrl(search, choices = {}) {
+    const { rankModes = [], amenities = [] } = choices;
+    const params = new URLSearchParams(search);
+    const from = this.decodePlace(params.get('from'));
+    const to = this.decodePlace(params.get('to'));
+    if (!from || !to) return null;
+
+    const state = { from, to };
+
+    const time = params.get('time');
+    if (time && /^([01]?\d|2[0-3]):[0-5]\d$/.test(time)) state.time = time;
+
+    const transfers = parseInt(params.get('transfers'), 10);
+    if (transfers >= 0 && transfers <= 3) state.maxTransfers = transfers;
+
+    const rankBy = params.get('rank');
+    if (rankModes.includes(rankBy)) state.rankBy = rankBy;
+
+    const payment = params.get('pay');
+    if (payment === 'cash' || payment === 'card') state.payment = payment;
+
+    const requiredAmenities = (params.get('amenities') || '').split(',').filter(name => amenities.includes(name));
+    if (requiredAmenities.length > 0) state.requiredAmenities = requiredAmenities;
+
+    const pathIndex = parseInt(params.get('path'), 10);
+    if (pathIndex >= 0) state.pathIndex = pathIndex;
+
+    return state;
+  }
+
+  /**
+   * Encode a stop or map point for the URL
+   * @param {Object} place
+   * @returns {string}
+   */
+  encodePlace(place) {
+    if (place.id) return String(place.id);
+    return `${place.lat.toFixed(6)},${place.lng.toFixed(6)}`;
+  }
+
+  /**
+   * Decode a URL place: "123" → { stopId }, "16.8,96.15" → { lat, lng }
+   * @param {string|null} value
+   * @returns {Object|null}
+   */
+  decodePlace(value) {
+    if (!value) return null;
+
+    const coords = value.match(/^(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/);
+    if (coords) {
+      const lat = parseFloat(coords[1]);
+      const lng = parseFloat(coords[2]);
+      return Math.abs(lat) <= 90 && Math.abs(lng) <= 180 ? { lat, lng } : null;
+    }
+
+    return /^[\w-]+$/.test(value) ? { stopId: value } : null;
+  }
+
+  /**
+   * Plain-text itinerary with English and Myanmar stop names
+   * @param {Object} path - Path object from PathFinder
+   * @param {Object} origin - Origin stop or map point
+   * @param {Object} destination - Destination stop or map point
+   * @returns {string}
+   */
+  formatItinerary(path, origin, destination) {
+    const lines = [
+      `🚌 ${this.formatName(origin)} → ${this.formatName(destination)}`
+    ];
+
+    const summary = [];
+    if (Number.isFinite(path.durationMinutes)) summary.push(`~${Math.round(path.durationMinutes)} min`);
+    summary.push(`${path.totalStops} stops`, `${path.totalDistance} km`);
+    if (Number.isFinite(path.fare)) summary.push(`${path.fare.toLocaleString('en-US')} Ks${path.farePayment === 'card' ? ' by card' : ''}`);
+    summary.push(path.transferCount === 0
+      ? 'direct'
+      : `${path.transferCount} transfer${path.transferCount > 1 ? 's' : ''}`);
+    lines.push(summary.join(' • '), '');
+
+    path.legs.forEach((leg, index) => {
+      if (leg.type === 'walk') {
+        lines.push(`${index + 1}. 🚶 Walk ${leg.walkDistance} m to ${this.formatName(leg.alightStop)}`);
+        return;
+      }
+
+      const towards = leg.headsign ? ` towards ${leg.headsign}` : '';
+      lines.push(`${index + 1}. 🚌 ${leg.routeLabel || `Bus ${leg.route}`}${towards} (${leg.stopCount} stop${leg.stopCount > 1 ? 's' : ''})`);
+      lines.push(`   Board: ${this.formatName(leg.boardStop)}`);
+      lines.push(`   Alight: ${this.formatName(leg.alightStop)}`);
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * "Hledan (လှည်းတန်း)"
+   * @param {Object} place
+   * @returns {string}
+   */
+  formatName(place) {
+    return place.name_mm ? `${place.name_en} (${place.name_mm})` : place.name_en;
+  }
+
+  /**
+   * Share via the Web Share API, or copy text and link to the clipboard
+   * @param {Object} data - { title, text, url }
+   * @returns {Promise<string>} - 'shared', 'copied', 'cancelled' or 'failed'
+   */
+  async share(data) {
+    if (typeof navigator !== 'undefined' && navigator.share) {
+      try {
+        await navigator.share(data);
+        return 'shared';
+      } catch (error) {
+        // AbortError: the user closed the share sheet
+        if (error.name === 'AbortError') return 'cancelled';
+        console.warn('[JourneyShare] Web Share failed, copying instead:', error);
+      }
+    }
+
+    return (await this.copyToClipboard(`${data.text}\n\n${data.url}`)) ? 'copied' : 'failed';
+  }
+
+  /**
+   * Copy text to the clipboard (async Clipboard API, or a hidden textarea)
+   * @param {string} text
+   * @returns {Promise<boolean>}
+   */
+  async copyToClipboard(text) {
+    if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.writeText) {
+      try {
+        await navigator.clipboard.writeText(text);
+        return true;
+      } catch (error) {
+        console.warn('[JourneyShare] Clipboard API failed:', error);
+      }
+    }
+
+    if (typeof document === 'undefined') return false;
+
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.style.cssText = 'position: fixed; top: -1000px; opacity: 0;';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      return document.execCommand('copy');
+    } catch (error) {
+      return false;
+    } finally {
+      document.body.removeChild(textarea);
+    }
+  }
+}
+
+// Export as singleton instance
+const journeyShare = new JourneyShare();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = journeyShare;
+}
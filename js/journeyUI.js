@@ -4,7 +4,11 @@
  * Features:
  * - Render path cards with route information
  * - Show transfers and connections
+ * - Walking legs between nearby stops
+ * - Near-identical options folded into one card ("Also via Hledan Zay · route 15-ShwePaukKan")
  * - Expandable stop lists
+ * - Bus legs on an inferred return run (see RouteIndex) marked as such
+ * - Transfer stops flagged when an amenity the rider asked for is not known there
  * - Distance and time estimates
  * - Actions: Show on Map, Save, Share
  * - Bilingual support (English + Myanmar)
@@ -16,6 +20,9 @@
  *   onSave: (path) => { ... }
  * });
  * journeyUI.renderPaths(paths);
+ *
+ * While a search is still running, partial results can be shown with
+ * renderPaths(paths, { partial: true }) and its progress with setProgress().
  */
 
 class JourneyUI {
@@ -31,25 +38,32 @@ class JourneyUI {
     };
 
     this.currentPaths = [];
+    this.requiredAmenities = [];
   }
 
   /**
    * Render all paths in the container
    * @param {Array<Object>} paths - Array of path objects from PathFinder
+   * @param {Object} [options]
+   * @param {boolean} [options.partial] - Search still running (more paths may follow)
+   * @param {Array<string>} [options.requiredAmenities=[]] - Amenities searched for at transfers
+   *   (transfer stops without data for them are flagged)
    */
-  renderPaths(paths) {
-    console.log(`[JourneyUI] Rendering ${paths.length} paths`);
+  renderPaths(paths, options = {}) {
+    const { partial = false, requiredAmenities = [] } = options;
+    console.log(`[JourneyUI] Rendering ${paths.length} ${partial ? 'partial ' : ''}paths`);
 
     if (!paths || paths.length === 0) {
-      this.showNoResults();
+      if (!partial) this.showNoResults();
       return;
     }
 
     this.currentPaths = paths;
+    this.requiredAmenities = requiredAmenities;
     this.container.innerHTML = '';
 
     // Add header
-    const header = this.createHeader(paths);
+    const header = this.createHeader(paths, partial);
     this.container.appendChild(header);
 
     // Render each path
@@ -62,7 +76,7 @@ class JourneyUI {
   /**
    * Create header with results summary
    */
-  createHeader(paths) {
+  createHeader(paths, partial = false) {
     const header = document.createElement('div');
     header.className = 'journey-header';
     header.style.cssText = `
@@ -84,6 +98,11 @@ class JourneyUI {
         ${directCount > 0 && transferCount > 0 ? ' • ' : ''}
         ${transferCount > 0 ? `${transferCount} with transfer${transferCount > 1 ? 's' : ''}` : ''}
       </div>
+      ${partial ? `
+        <div class="journey-progress" style="font-size: 0.85em; color: #667eea; margin-top: 5px;">
+          ⏳ Searching for more routes...
+        </div>
+      ` : ''}
     `;
 
     return header;
@@ -185,6 +204,19 @@ class JourneyUI {
       routeInfo.appendChild(transferInfo);
     }
 
+    // Near-identical options folded into this one
+    const similarText = this.formatSimilarPaths(path);
+    if (similarText) {
+      const similarInfo = document.createElement('div');
+      similarInfo.style.cssText = `
+        font-size: 0.8em;
+        color: #888;
+        margin-top: 4px;
+      `;
+      similarInfo.textContent = similarText;
+      routeInfo.appendChild(similarInfo);
+    }
+
     summary.appendChild(routeInfo);
 
     // Right side: Stats
@@ -193,13 +225,26 @@ class JourneyUI {
       text-align: right;
       margin-left: 15px;
     `;
+    const hasDuration = Number.isFinite(path.durationMinutes);
     stats.innerHTML = `
       <div style="font-weight: 600; color: #333; font-size: 1.1em;">
-        ${path.totalStops} stops
+        ${hasDuration ? `~${this.formatDuration(path.durationMinutes)}` : `${path.totalStops} stops`}
       </div>
       <div style="font-size: 0.85em; color: #666; margin-top: 2px;">
-        ${path.totalDistance} km
+        ${hasDuration ? `${path.totalStops} stops • ` : ''}${path.totalDistance} km
       </div>
+      ${Number.isFinite(path.fare) ? `
+      <div style="font-size: 0.85em; color: #2f855a; font-weight: 600; margin-top: 2px;">
+        💰 ${this.formatFare(path.fare)}${path.farePayment === 'card' ? ' by card' : ''}
+      </div>` : ''}
+      ${path.arrivalTime ? `
+      <div style="font-size: 0.8em; color: #999; margin-top: 2px;">
+        Arrive ~${this.formatClock(path.arrivalTime)}
+      </div>` : ''}
+      ${path.totalWalkDistance > 0 ? `
+      <div style="font-size: 0.8em; color: #999; margin-top: 2px;">
+        🚶 ${path.totalWalkDistance} m walk
+      </div>` : ''}
     `;
     summary.appendChild(stats);
 
@@ -211,6 +256,35 @@ class JourneyUI {
     return summary;
   }
 
+  /**
+   * Describe the similar paths folded into a path: the stops they board or
+   * leave buses at instead, and the other routes they take
+   * ("🔀 Also via Hledan Zay, Myay Ni Gone · by Route 15 Shwe Pauk Kan (to Sayardaw Gyi)")
+   */
+  formatSimilarPaths(path) {
+    const similarPaths = path.similarPaths || [];
+    if (similarPaths.length === 0) return '';
+
+    const busLegs = p => p.legs.filter(leg => leg.type === 'bus');
+    const stopsOf = p => busLegs(p).flatMap(leg => [leg.boardStop, leg.alightStop]);
+    const ownStops = new Set(stopsOf(path).map(stop => stop.name_en));  // By name: other platforms of a station are not news
+    const ownRoutes = new Set(busLegs(path).map(leg => leg.route));
+
+    const viaStops = new Set();
+    const viaRoutes = new Map();  // Route key → label
+    for (const similar of similarPaths) {
+      stopsOf(similar).filter(stop => !ownStops.has(stop.name_en)).forEach(stop => viaStops.add(stop.name_en));
+      busLegs(similar).filter(leg => !ownRoutes.has(leg.route))
+        .forEach(leg => viaRoutes.set(leg.route, leg.routeLabel || `Route ${leg.routeFamily || leg.route}`));
+    }
+    if (viaStops.size === 0 && viaRoutes.size === 0) return '';
+
+    const parts = [];
+    if (viaStops.size > 0) parts.push(`Also via ${Array.from(viaStops).slice(0, 3).join(', ')}${viaStops.size > 3 ? ` +${viaStops.size - 3}` : ''}`);
+    if (viaRoutes.size > 0) parts.push(`${parts.length > 0 ? 'by' : 'Also by'} ${Array.from(viaRoutes.values()).join(', ')}`);
+    return `🔀 ${parts.join(' · ')}`;
+  }
+
   /**
    * Create route badges
    */
@@ -224,19 +298,20 @@ class JourneyUI {
     `;
 
     path.legs.forEach((leg, legIndex) => {
-      // Route badge
+      // Route badge (or walk badge)
       const badge = document.createElement('div');
+      const isWalk = leg.type === 'walk';
       badge.style.cssText = `
         display: inline-flex;
         align-items: center;
         padding: 6px 12px;
-        background: ${leg.routeColor || '#667eea'};
-        color: white;
+        background: ${isWalk ? '#f1f3f5' : (leg.routeColor || '#667eea')};
+        color: ${isWalk ? '#666' : 'white'};
         border-radius: 4px;
         font-weight: 600;
         font-size: 0.9em;
       `;
-      badge.textContent = `🚌 ${leg.route}`;
+      badge.textContent = isWalk ? `🚶 ${leg.walkDistance} m` : `🚌 ${leg.routeFamily || leg.route}`;
       container.appendChild(badge);
 
       // Transfer arrow
@@ -270,11 +345,15 @@ class JourneyUI {
 
     // Render each leg
     path.legs.forEach((leg, legIndex) => {
-      const legElement = this.createLegElement(leg, legIndex, path.legs.length);
+      const legElement = leg.type === 'walk'
+        ? this.createWalkElement(leg, legIndex > 0 && legIndex < path.legs.length - 1)
+        : this.createLegElement(leg, legIndex, path.legs.length);
       details.appendChild(legElement);
 
-      // Add transfer indicator between legs
-      if (legIndex < path.legs.length - 1) {
+      // Add transfer indicator between two consecutive bus legs
+      // (a walk leg between buses explains the transfer itself)
+      const nextLeg = path.legs[legIndex + 1];
+      if (nextLeg && leg.type !== 'walk' && nextLeg.type !== 'walk') {
         const transfer = this.createTransferIndicator(leg.alightStop);
         details.appendChild(transfer);
       }
@@ -307,14 +386,41 @@ class JourneyUI {
     `;
     header.innerHTML = `
       <div>
-        <span style="color: ${leg.routeColor || '#667eea'};">🚌 Route ${leg.route}</span>
+        <span style="color: ${leg.routeColor || '#667eea'};">🚌 ${leg.routeLabel || `Route ${leg.route}`}</span>
+        ${leg.headsign ? `<span style="font-weight: normal; color: #666; font-size: 0.9em;">towards ${leg.headsign}</span>` : ''}
         <span style="font-weight: normal; color: #666; margin-left: 8px; font-size: 0.9em;">
-          ${leg.stopCount} stop${leg.stopCount > 1 ? 's' : ''} • ${leg.distance} km
+          ${leg.stopCount} stop${leg.stopCount > 1 ? 's' : ''} • ${leg.distance} km${Number.isFinite(leg.rideMinutes) ? ` • ~${this.formatDuration(leg.rideMinutes)}` : ''}${Number.isFinite(leg.fare) ? ` • ${this.formatFare(leg.fare)}${leg.fareDiscount > 0 ? ` (${this.formatFare(leg.fareDiscount)} off)` : ''}` : ''}
         </span>
       </div>
     `;
     legElement.appendChild(header);
 
+    // Expected wait before boarding
+    if (Number.isFinite(leg.waitMinutes) && leg.waitMinutes > 0) {
+      const wait = document.createElement('div');
+      wait.style.cssText = `
+        font-size: 0.8em;
+        color: #999;
+        margin-bottom: 6px;
+      `;
+      wait.textContent = leg.headwayMinutes
+        ? `⏳ Buses every ~${leg.headwayMinutes} min • wait ~${this.formatDuration(leg.waitMinutes)}`
+        : `⏳ Expect to wait ~${this.formatDuration(leg.waitMinutes)}`;
+      legElement.appendChild(wait);
+    }
+
+    // Return run worked out from the route's stops, not published
+    if (leg.inferred) {
+      const inferred = document.createElement('div');
+      inferred.style.cssText = `
+        font-size: 0.8em;
+        color: #e67e00;
+        margin-bottom: 6px;
+      `;
+      inferred.textContent = '↩️ Return direction estimated from the outbound stops; the bus may stop elsewhere';
+      legElement.appendChild(inferred);
+    }
+
     // Board stop
     const boardStop = this.createStopInfo(leg.boardStop, 'Board', '🟢');
     legElement.appendChild(boardStop);
@@ -332,6 +438,37 @@ class JourneyUI {
     return legElement;
   }
 
+  /**
+   * Create walk leg element
+   * @param {Object} leg
+   * @param {boolean} [isTransfer=false] - Walk between two buses (not to or from a place)
+   */
+  createWalkElement(leg, isTransfer = false) {
+    const walkElement = document.createElement('div');
+    walkElement.className = 'path-leg path-leg-walk';
+    walkElement.style.cssText = `
+      margin-bottom: 15px;
+      padding: 10px 12px;
+      border-left: 3px dashed #adb5bd;
+      background: #fafbfc;
+      border-radius: 0 4px 4px 0;
+    `;
+
+    walkElement.innerHTML = `
+      <div style="font-weight: 600; color: #555; margin-bottom: 4px;">
+        🚶 Walk ${leg.walkDistance} m${Number.isFinite(leg.durationMinutes) ? ` (~${this.formatDuration(leg.durationMinutes)})` : ''}
+      </div>
+      <div style="font-size: 0.9em; color: #666;">
+        From ${leg.boardStop.name_en} to <strong>${leg.alightStop.name_en}</strong>
+      </div>
+      ${leg.alightStop.name_mm ? `<div style="font-size: 0.85em; color: #667eea; margin-top: 2px;">${leg.alightStop.name_mm}</div>` : ''}
+      ${leg.alightStop.road ? `<div style="font-size: 0.85em; color: #999; margin-top: 2px;">${leg.alightStop.road}</div>` : ''}
+      ${isTransfer ? this.formatUnknownAmenities([leg.boardStop, leg.alightStop]) : ''}
+    `;
+
+    return walkElement;
+  }
+
   /**
    * Create stop info display
    */
@@ -355,11 +492,58 @@ class JourneyUI {
       <div style="font-size: 0.85em; color: #666; margin-top: 3px;">
         ${stop.road ? stop.road + ', ' : ''}${stop.township || ''}
       </div>
+      ${stop.amenities ? `<div style="font-size: 0.8em; color: #555; margin-top: 3px;">${this.formatAmenities(stop.amenities)}</div>` : ''}
     `;
 
     return stopDiv;
   }
 
+  /**
+   * Describe a stop's amenities ("🛖 Shelter • ♿ Step-free • 📍 Near City Hall");
+   * unknown ones are left out
+   * @param {Object} amenities - { shelter, stepFree, lighting, landmarks } (see StopMatcher.getAmenities)
+   * @returns {string}
+   */
+  formatAmenities(amenities) {
+    if (!amenities) return '';
+
+    const labels = {
+      shelter: ['🛖 Shelter', 'No shelter'],
+      stepFree: ['♿ Step-free', '⚠️ Not step-free'],
+      lighting: ['💡 Lit at night', 'Unlit']
+    };
+    const parts = Object.entries(labels)
+      .filter(([name]) => amenities[name] === true || amenities[name] === false)
+      .map(([name, [yes, no]]) => amenities[name] ? yes : no);
+
+    if (amenities.landmarks && amenities.landmarks.length > 0) {
+      parts.push(`📍 Near ${amenities.landmarks.join(', ')}`);
+    }
+    return parts.join(' • ');
+  }
+
+  /**
+   * Note for transfer stops with no data for an amenity the rider asked for
+   * (the search does not avoid them, so the rider should know)
+   * @param {Array<Object>} stops - Leg stops ({ name_en, amenities })
+   * @returns {string} - HTML ('' when every required amenity is known)
+   */
+  formatUnknownAmenities(stops) {
+    const labels = { shelter: 'shelter', stepFree: 'step-free boarding', lighting: 'lighting' };
+    const unknown = [];
+
+    for (const stop of stops) {
+      for (const name of this.requiredAmenities) {
+        const value = stop.amenities ? stop.amenities[name] : null;
+        const label = labels[name] || name;
+        if (value !== true && value !== false && !unknown.includes(label)) unknown.push(label);
+      }
+    }
+
+    if (unknown.length === 0) return '';
+    return `<div style="font-size: 0.8em; color: #e67e00; margin-top: 4px;">❔ No data on ${unknown.join(', ')} here</div>`;
+  }
+
   /**
    * Create expandable stop list
    */
@@ -444,6 +628,7 @@ class JourneyUI {
         ${transferStop.name_en}
       </div>
       ${transferStop.name_mm ? `<div style="font-size: 0.85em; color: #667eea;">${transferStop.name_mm}</div>` : ''}
+      ${this.formatUnknownAmenities([transferStop])}
     `;
 
     return transfer;
@@ -525,6 +710,33 @@ class JourneyUI {
     return button;
   }
 
+  /**
+   * Format minutes as "45 min" or "1 h 20 min"
+   */
+  formatDuration(minutes) {
+    const rounded = Math.max(1, Math.round(minutes));
+    if (rounded < 60) return `${rounded} min`;
+
+    const hours = Math.floor(rounded / 60);
+    const rest = rounded % 60;
+    return rest > 0 ? `${hours} h ${rest} min` : `${hours} h`;
+  }
+
+  /**
+   * Format a fare as "1,200 Ks"
+   */
+  formatFare(amount) {
+    return `${Math.round(amount).toLocaleString('en-US')} Ks`;
+  }
+
+  /**
+   * Format an ISO timestamp as local "HH:MM"
+   */
+  formatClock(isoTime) {
+    const time = new Date(isoTime);
+    return `${String(time.getHours()).padStart(2, '0')}:${String(time.getMinutes()).padStart(2, '0')}`;
+  }
+
   /**
    * Toggle path details visibility
    */
@@ -536,6 +748,34 @@ class JourneyUI {
     }
   }
 
+  /**
+   * Highlight a path card (e.g. the option chosen in a shared link):
+   * expand its details and scroll it into view
+   */
+  highlightPath(index) {
+    const card = this.container.querySelector(`.journey-path-card[data-path-index="${index}"]`);
+    if (!card) return;
+
+    card.style.borderColor = '#ed8936';
+    card.style.boxShadow = '0 0 0 3px rgba(237, 137, 54, 0.25)';
+
+    const details = card.querySelector('.path-details');
+    if (details) details.style.display = 'block';
+
+    card.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }
+
+  /**
+   * Update the progress shown with partial results
+   * @param {number} progress - 0-1
+   */
+  setProgress(progress) {
+    const element = this.container.querySelector('.journey-progress');
+    if (element) {
+      element.textContent = `⏳ Searching for more routes... ${Math.round(progress * 100)}%`;
+    }
+  }
+
   /**
    * Show no results message
    */
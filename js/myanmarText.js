@@ -0,0 +1,386 @@
+/**
+ * MyanmarText - Normalizes Myanmar text typed on local keyboards
+ *
+ * Problem: stops.tsv stores names in Unicode, but many phones and PCs in
+ * Myanmar still type Zawgyi (a font encoding that reuses Myanmar code
+ * points with different meanings and stores vowels and medials in visual
+ * order). Even in Unicode the same syllable can be stored in several
+ * orders, and digits are easily confused with letters (၀ zero / ဝ wa,
+ * ၇ seven / ရ ra, ၈ eight / ဂ ga).
+ * Solution: One normal form for matching:
+ * - Zawgyi is detected and converted to Unicode
+ * - Dependent signs after each consonant are put in Unicode storage order
+ *   (stacked consonant, medials ျ ြ ွ ှ, ေ, upper, lower and ာ vowels, ံ ့ ် း)
+ *   and doubled signs are dropped
+ * - Digit look-alikes are resolved from context and Myanmar digits become
+ *   ASCII digits, so "၁ဝ၇", "၁၀၇" and "107" match
+ * - Zero-width characters, ၊ ။ and spaces next to Myanmar text are removed
+ *
+ * Romanizations of Burmese names vary just as much ("Hledan", "Hlaedan",
+ * "Lhedan"; "Thingangyun", "Thin Gan Gyun"), so it also provides:
+ * - toLatin(): a rough Myanmar → Latin transliteration, spelled the way
+ *   Yangon signs and stops.tsv usually do ("Kyauk", "Taing", "Shwe")
+ * - phoneticKey(): a key that folds the usual spelling differences
+ *   (h placement, ae/ay/e, ee/i, ar/a, ky/gy/ch/j, voiced and voiceless
+ *   consonants, doubled letters, spaces)
+ *
+ * Usage:
+ * myanmarText.normalize('လွည္းတန္း');   // Zawgyi → 'လှည်းတန်း'
+ * myanmarText.normalize('၁ဝ၇ဂိတ်');      // → '107ဂိတ်'
+ * myanmarText.toLatin('ကျောက်မြောင်း');    // → 'kyauk myaung'
+ * myanmarText.phoneticKey('Hlaedan') === myanmarText.phoneticKey('Lhedan');  // true
+ */
+
+class MyanmarText {
+  constructor() {
+    // Bump when normalize() output changes (indexes built with an older version are rebuilt)
+    this.version = 1;
+
+    // Zawgyi code point → Unicode sequence (applied before reordering)
+    this.zawgyiChars = {
+      '\u103d': '\u103e', '\u1087': '\u103e',                 // Medial ha
+      '\u103c': '\u103d',                                     // Medial wa
+      '\u103b': '\u103c', '\u107e': '\u103c', '\u107f': '\u103c', '\u1080': '\u103c',
+      '\u1081': '\u103c', '\u1082': '\u103c', '\u1083': '\u103c', '\u1084': '\u103c',  // Medial ra
+      '\u103a': '\u103b', '\u107d': '\u103b',                 // Medial ya
+      '\u1039': '\u103a',                                     // Asat
+      '\u1033': '\u102f', '\u1034': '\u1030',                 // Tall u, uu
+      '\u1086': '\u103f', '\u105a': '\u102b\u103a',
+      '\u1088': '\u103e\u102f', '\u1089': '\u103e\u1030', '\u108a': '\u103d\u103e',
+      '\u108e': '\u102d\u1036', '\u108f': '\u1014', '\u1090': '\u101b',
+      '\u1094': '\u1037', '\u1095': '\u1037',
+      '\u106a': '\u1009', '\u106b': '\u100a',
+      '\u1060': '\u1039\u1000', '\u1061': '\u1039\u1001', '\u1062': '\u1039\u1002',
+      '\u1063': '\u1039\u1003', '\u1065': '\u1039\u1005', '\u1066': '\u1039\u1006',
+      '\u1067': '\u1039\u1006', '\u1068': '\u1039\u1007', '\u1069': '\u1039\u1008',
+      '\u106c': '\u1039\u100b', '\u106d': '\u1039\u100c', '\u1070': '\u1039\u100f',
+      '\u1071': '\u1039\u1010', '\u1072': '\u1039\u1010', '\u1073': '\u1039\u1011',
+      '\u1074': '\u1039\u1011', '\u1075': '\u1039\u1012', '\u1076': '\u1039\u1013',
+      '\u1077': '\u1039\u1014', '\u1078': '\u1039\u1015', '\u1079': '\u1039\u1016',
+      '\u107a': '\u1039\u1017', '\u107b': '\u1039\u1018', '\u1093': '\u1039\u1018',
+      '\u107c': '\u1039\u1019', '\u1085': '\u1039\u101c', '\u1096': '\u1039\u1010\u103d',
+      '\u106e': '\u100d\u1039\u100d', '\u106f': '\u100d\u1039\u100e',
+      '\u1091': '\u100f\u1039\u100d', '\u1092': '\u100b\u1039\u100c', '\u1097': '\u100b\u1039\u100b'
+    };
+
+    // Kinzi forms (written after the consonant in Zawgyi, before it in Unicode)
+    this.zawgyiKinzi = { '\u1064': '', '\u108b': '\u102d', '\u108c': '\u102e', '\u108d': '\u1036' };
+
+    // Storage order of dependent signs within a syllable (Unicode Technical Note #11)
+    this.signOrder = {
+      '\u103b': 1, '\u103c': 2, '\u103d': 3, '\u103e': 4, '\u1031': 5,
+      '\u102d': 6, '\u102e': 6, '\u1032': 6, '\u102f': 7, '\u1030': 7,
+      '\u102b': 8, '\u102c': 8, '\u1036': 9, '\u1037': 10, '\u103a': 11, '\u1038': 12
+    };
+
+    // Digits that look like letters
+    this.digitLetters = { '\u1040': '\u101d', '\u1047': '\u101b', '\u1048': '\u1002' };
+
+    // Romanization of initial consonants and independent vowels
+    this.latinInitials = {
+      '\u1000': 'k', '\u1001': 'kh', '\u1002': 'g', '\u1003': 'g', '\u1004': 'ng',
+      '\u1005': 's', '\u1006': 'hs', '\u1007': 'z', '\u1008': 'z', '\u1009': 'ny', '\u100a': 'ny',
+      '\u100b': 't', '\u100c': 'ht', '\u100d': 'd', '\u100e': 'd', '\u100f': 'n',
+      '\u1010': 't', '\u1011': 'ht', '\u1012': 'd', '\u1013': 'd', '\u1014': 'n',
+      '\u1015': 'p', '\u1016': 'hp', '\u1017': 'b', '\u1018': 'b', '\u1019': 'm',
+      '\u101a': 'y', '\u101b': 'y', '\u101c': 'l', '\u101d': 'w', '\u101e': 'th',
+      '\u101f': 'h', '\u1020': 'l', '\u1021': '', '\u103f': 'th',
+      '\u1023': 'i', '\u1024': 'i', '\u1025': 'u', '\u1026': 'u', '\u1027': 'ay',
+      '\u1029': 'aw', '\u102a': 'aw'
+    };
+
+    // Final consonants (consonant + asat) by the rhyme they close
+    this.latinFinals = {
+      '\u1000': 'k', '\u1004': 'ng', '\u1005': 'c', '\u100a': 'ny', '\u1009': 'nn',
+      '\u1010': 't', '\u100b': 't', '\u1015': 't', '\u1014': 'n', '\u100f': 'n',
+      '\u1019': 'n', '\u101a': 'y'
+    };
+
+    // Spelling variants folded by phoneticKey(), in order
+    this.phoneticRules = [
+      [/([^aeiou])\1+/g, '$1'],                  // Doubled consonants (Takke, Arr)
+      [/ky|gy|c|j/g, 'j'],                        // Palatals (ch has lost its h)
+      [/ng/g, 'n'],
+      [/ine/g, 'ain'], [/ike/g, 'aik'],           // Hline / Hlaing, Thike / Taik
+      [/ate/g, 'eik'], [/ote/g, 'oke'],           // Gate / Geik, Lote / Loke
+      [/one/g, 'on'], [/oe/g, 'o'],               // Sone, Koe
+      [/ee|ea/g, 'i'], [/oo/g, 'u'],
+      [/ae|ay(?![aeiou])/g, 'e'],
+      [/aw/g, 'o'],
+      [/ar(?![aeiou])/g, 'a'],                    // Ngar, Butar
+      [/r/g, 'y'], [/g|q/g, 'k'], [/d/g, 't'], [/b|f/g, 'p'], [/z|x/g, 's'], [/v/g, 'w'],
+      [/(.)\1+/g, '$1']
+    ];
+  }
+
+  /**
+   * Whether text contains Myanmar script
+   * @param {string} text
+   * @returns {boolean}
+   */
+  hasMyanmar(text) {
+    return /[\u1000-\u109f]/.test(text || '');
+  }
+
+  /**
+   * Guess whether Myanmar text is Zawgyi-encoded
+   * @param {string} text
+   * @returns {boolean}
+   */
+  isZawgyi(text) {
+    if (!this.hasMyanmar(text)) return false;
+
+    // Sequences only valid in one encoding
+    const zawgyiSigns = [
+      /[\u105a\u1060-\u1097]/g,                    // Zawgyi presentation forms
+      /[\u1033\u1034]/g,                           // Tall u / uu
+      /\u1039(?![\u1000-\u1021])/g,                // Asat (virama in Unicode needs a consonant after it)
+      /(^|[^\u1000-\u1021\u103b\u103c\u103d\u103e])\u1031/g,  // ေ typed before its consonant
+      /(^|[^\u1000-\u1021])\u103b(?=[\u1000-\u1021])/g        // ြ typed before its consonant
+    ];
+    const unicodeSigns = [
+      /\u103e/g,                                   // Medial ha
+      /\u1004\u103a\u1039/g,                       // Kinzi
+      /[\u1000-\u1021]\u103a(?=$|[\s\u1000-\u1021])/g,        // Final consonant with asat
+      /[\u1000-\u1021]\u1031/g                     // ေ after its consonant
+    ];
+
+    const count = (patterns) => patterns.reduce((total, pattern) => total + (text.match(pattern) || []).length, 0);
+    return count(zawgyiSigns) > count(unicodeSigns);
+  }
+
+  /**
+   * Convert Zawgyi text to Unicode (reordering is left to reorder())
+   * @param {string} text
+   * @returns {string}
+   */
+  zawgyiToUnicode(text) {
+    let result = '';
+    for (const char of text) {
+      result += char in this.zawgyiChars ? this.zawgyiChars[char] : char;
+    }
+
+    return result
+      // Kinzi moves in front of its consonant (and any ေ ြ typed before it)
+      .replace(/([\u1031\u103c]*[\u1000-\u1021])([\u1064\u108b\u108c\u108d])/g,
+        (match, syllable, kinzi) => '\u1004\u103a\u1039' + syllable + this.zawgyiKinzi[kinzi])
+      // ေ and ြ are typed before the consonant
+      .replace(/([\u1031\u103c]+)((?:\u1004\u103a\u1039)?[\u1000-\u1021\u1023-\u102a\u103f])/g, '$2$1')
+      // ဥ doubles as ဉ; ဥ + ီ is ဦ
+      .replace(/\u1025(?=[\u103a\u1039\u102c])/g, '\u1009')
+      .replace(/\u1025\u102e/g, '\u1026');
+  }
+
+  /**
+   * Put the dependent signs of each syllable in storage order, dropping doubled signs
+   * @param {string} text - Unicode text
+   * @returns {string}
+   */
+  reorder(text) {
+    // Kinzi (င်္) and stacked consonants (္ + consonant) are single tokens
+    const tokens = text.match(/\u103a\u1039|\u1039[\u1000-\u1021]|[^]/g) || [];
+    const rank = (token) => token[0] === '\u1039' ? 0 : this.signOrder[token];
+
+    let result = '';
+    let signs = [];
+    const flush = () => {
+      signs.sort((a, b) => rank(a) - rank(b));
+      signs.forEach((sign, index) => { if (sign !== signs[index - 1]) result += sign; });
+      signs = [];
+    };
+
+    for (const token of tokens) {
+      if (rank(token) !== undefined) {
+        signs.push(token);
+      } else {
+        flush();
+        result += token;
+      }
+    }
+    flush();
+
+    return result
+      .replace(/\u1025(?=\u103a)/g, '\u1009')
+      .replace(/\u1025\u102e/g, '\u1026');
+  }
+
+  /**
+   * Resolve digit/letter look-alikes and convert Myanmar digits to ASCII
+   * @param {string} text - Unicode text in storage order
+   * @returns {string}
+   */
+  normalizeDigits(text) {
+    const chars = Array.from(text);
+    const isDigit = (char) => /[0-9\u1040-\u1049]/.test(char || '');
+    const isLetter = (char) => /[\u1000-\u102a\u103f]/.test(char || '');
+    // A dependent sign, or a final consonant (consonant + asat), shows the character is a letter
+    const takesSigns = (index) => /[\u102b-\u103e]/.test(chars[index + 1] || '') ||
+      (/[\u1000-\u1021]/.test(chars[index + 1] || '') && chars[index + 2] === '\u103a');
+
+    for (let i = 0; i < chars.length; i++) {
+      const char = chars[i];
+      const besideDigit = isDigit(chars[i - 1]) || isDigit(chars[i + 1]);
+
+      if (char in this.digitLetters) {
+        if (takesSigns(i) || (!besideDigit && (isLetter(chars[i - 1]) || isLetter(chars[i + 1])))) {
+          chars[i] = this.digitLetters[char];
+        }
+      } else if (char === '\u101d' && besideDigit && !takesSigns(i)) {
+        chars[i] = '\u1040';
+      }
+    }
+
+    return chars
+      .map(char => /[\u1040-\u1049]/.test(char) ? String(char.charCodeAt(0) - 0x1040) : char)
+      .join('');
+  }
+
+  /**
+   * Normal form for matching Myanmar text (text without Myanmar script is returned unchanged)
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    if (!this.hasMyanmar(text)) return text || '';
+
+    let result = text.replace(/[\u200b-\u200d\ufeff\u104a\u104b]/g, '');
+    if (this.isZawgyi(result)) {
+      result = this.zawgyiToUnicode(result);
+    }
+
+    return this.normalizeDigits(this.reorder(result))
+      .replace(/([\u1000-\u109f])\s+/g, '$1')
+      .replace(/\s+(?=[\u1000-\u109f])/g, '');
+  }
+
+  /**
+   * Transliterate Myanmar text to Latin, one syllable per word (other text is kept)
+   * @param {string} text
+   * @returns {string} - Lowercase, e.g. 'hli tan' for လှည်းတန်း
+   */
+  toLatin(text) {
+    if (!this.hasMyanmar(text)) return text || '';
+
+    // Kinzi and stacked consonants close the previous syllable like a final
+    const chars = Array.from(this.normalize(text).replace(/\u103a?\u1039/g, '\u103a'));
+    const isFinal = (index) => chars[index + 1] === '\u103a' ||
+      (/[\u1037\u1038]/.test(chars[index + 1] || '') && chars[index + 2] === '\u103a');
+
+    const words = [];
+    let syllable = null;   // { initial, signs, final }
+    const close = () => {
+      if (syllable) words.push(this.romanizeSyllable(syllable));
+      syllable = null;
+    };
+
+    chars.forEach((char, index) => {
+      if (char in this.latinInitials) {
+        if (syllable && isFinal(index)) {
+          syllable.final = char;
+        } else {
+          close();
+          syllable = { initial: char, signs: new Set(), final: null };
+        }
+      } else if (/[\u102b-\u103e]/.test(char)) {
+        if (syllable && !syllable.final) syllable.signs.add(char);
+      } else {
+        close();
+        words.push(char);
+      }
+    });
+    close();
+
+    return words.join(' ').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Romanize one syllable
+   * @param {Object} syllable - { initial, signs: Set, final }
+   * @returns {string}
+   */
+  romanizeSyllable({ initial, signs, final }) {
+    const has = (...marks) => marks.some(mark => signs.has(mark));
+    let onset = this.latinInitials[initial];
+
+    // Independent vowels are whole syllables
+    if (/[\u1023-\u102a]/.test(initial)) return onset;
+
+    // Medials: ya/ra (ky, ch, gy, my...), ha (hl, hm, sh), wa
+    if (has('\u103b', '\u103c')) {
+      onset = { k: 'ky', kh: 'ch', g: 'gy' }[onset] || onset + 'y';
+    }
+    if (has('\u103e')) {
+      onset = onset === 'y' || onset === 'ly' ? 'sh' : 'h' + onset;
+    }
+
+    const e = has('\u1031');
+    const i = has('\u102d', '\u102e');
+    const u = has('\u102f', '\u1030');
+    const a = has('\u102b', '\u102c');
+    const w = has('\u103d');
+    const finalClass = final ? this.latinFinals[final] : (has('\u1036') ? 'n' : null);
+
+    let rhyme;
+    switch (finalClass) {
+      case 'k':
+        rhyme = e && a ? 'auk' : i && u ? 'aik' : 'et';
+        break;
+      case 'ng':
+        rhyme = e && a ? 'aung' : i && u ? 'aing' : 'in';
+        break;
+      case 'c':
+        rhyme = 'it';
+        break;
+      case 'ny':
+        rhyme = 'i';
+        break;
+      case 'nn':
+        rhyme = 'in';
+        break;
+      case 't':
+        rhyme = i ? 'eik' : u ? 'oke' : w ? 'ut' : 'at';
+        break;
+      case 'n':
+        rhyme = i ? 'ein' : u ? 'one' : w ? 'un' : 'an';
+        break;
+      case 'y':
+        rhyme = 'e';
+        break;
+      default:
+        rhyme = e && a ? 'aw' : i && u ? 'o' : e ? 'ay' : has('\u1032') ? 'ae' : i ? 'i' : u ? 'u' : 'a';
+    }
+
+    // Wa is heard in the rhyme before -t and -n (ကျွန်း kyun), in the onset otherwise
+    const waInRhyme = w && !i && !u && (finalClass === 't' || finalClass === 'n');
+    if (w && !waInRhyme) onset += 'w';
+
+    return onset + rhyme;
+  }
+
+  /**
+   * Key that is equal for the usual romanizations of a Burmese name
+   * @param {string} text - Latin text (Myanmar text is transliterated first)
+   * @returns {string} - e.g. 'letan' for "Hledan", "Hlaedan" and "Lhedan"
+   */
+  phoneticKey(text) {
+    let key = this.toLatin(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    // h only stands for itself between vowels or before the first vowel (Baho);
+    // elsewhere it marks aspiration or a voiceless sound (Hledan, Htauk, Lhedan)
+    key = key.replace(/h/g, (h, index) =>
+      (index === 0 || /[aeiou]/.test(key[index - 1])) && /[aeiou]/.test(key[index + 1] || '') ? h : '');
+
+    for (const [pattern, replacement] of this.phoneticRules) {
+      key = key.replace(pattern, replacement);
+    }
+    return key;
+  }
+}
+
+// Export as singleton instance
+const myanmarText = new MyanmarText();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = myanmarText;
+}
@@ -0,0 +1,374 @@
+/**
+ * NetworkBundle - Compact precompiled network (data/network-bundle.json)
+ *
+ * Problem: stops.tsv plus 100+ pretty-printed route files with
+ * full-precision shapes is slow to download on 3G, and StopMatcher and
+ * RouteIndex re-index everything on every load.
+ * Solution: tools/build-bundle.js compiles the dataset into one file:
+ * - Stops are rows addressed by their position; routes list stop positions
+ * - Stop coordinates and route shapes are delta/polyline-encoded
+ * - The StopMatcher and RouteIndex tables (name index, spatial grid,
+ *   stop → routes, patterns) are prebuilt, so both load without re-indexing
+ *
+ * Bundle format (version 2):
+ * {
+ *   format: "ybs-network-bundle",
+ *   version: 2,
+ *   sourceHash: "9f3a1c2e",        // FNV-1a of the source files (see tools/build-bundle.js)
+ *   stopColumns: ["id", "lat", "lng", "name_en", ...],  // stops.tsv header
+ *   stops: [["1", "Nat Sin", ...]],  // One row per stop, every column except lat/lng
+ *   stopCoords: "o~bfBw{c~P...",    // Polyline (1e6) of the stops' [lat, lng], in row order
+ *   noCoords: [],                   // Rows without coordinates (left out of stopCoords)
+ *   extraStopIds: ["9999"],         // Stop IDs routes use that stops.tsv lacks
+ *   routes: [{
+ *     num: "1", file: "route1.json",
+ *     fields: { route_id, name, color, ... },   // Everything but stops (and an encoded shape)
+ *     stops: [0, 1, 2],             // Stop refs: row, or stops.length + extraStopIds index
+ *     shape: "_yb|Q..."             // Polyline (1e6) of the GeoJSON [lng, lat] coordinates
+ *   }],
+ *   routesIndex: { ... }, schedules: [ ... ], landmarks: [ ... ], amenities: [ ... ],
+ *   fares: { ... },                 // data/fares.json (null without it)
+ *   stopMatcher: { textVersion: 1, names: [[name, [stopRef]]], grid: [[cellKey, [stopRef]]] },
+ *   routeIndex: {
+ *     keyVersion: 2,
+ *     routeKeys: ["1", "37-Hlegu", ...],
+ *     stopRoutes: [[stopRef, [routeKeyIndex]]],
+ *     transferHubs: [stopRef],
+ *     routeData: [[routeKeyIndex, routeIndex]],  // routeKey → entry of routes
+ *     patterns: [[key, routeKeyIndex, type, direction, cycleLength, turnIndex, inferred, stopRefs?]]
+ *   }
+ * }
+ *
+ * Pattern stop sequences are mostly not stored: they follow from the route's
+ * stops (see expandPattern), which the build checks for every pattern. Only
+ * inferred runs that stop at other platforms than the route's (see
+ * RouteIndex.getOppositePlatform) carry their stops (stopRefs).
+ *
+ * The bundle has no build time or other stamp: rebuilding unchanged data
+ * gives the same file (sourceHash identifies the data it was built from).
+ *
+ * Usage:
+ * const data = networkBundle.decode(JSON.parse(text));
+ * stopMatcher.importFromCache(data.stopsData, data.stopMatcherCache);
+ * routeIndex.importFromCache(data.routeIndexCache);
+ */
+
+class NetworkBundle {
+  constructor() {
+    this.format = 'ybs-network-bundle';
+    this.version = 2;
+    this.stopPrecision = 1e6;    // ~0.1 m
+    this.shapePrecision = 1e6;   // Most shapes have 5 decimals, some up to 7
+  }
+
+  /**
+   * Compile a dataset and its prebuilt indexes into a bundle
+   * @param {Object} source - { stopsData, routes, routesIndex, schedules, landmarks, amenities, fares,
+   *   sourceHash, stopMatcherCache, routeIndexCache } (caches from exportForCache(), built
+   *   from these same stopsData and routes objects)
+   * @returns {Object}
+   */
+  encode(source) {
+    const { stopsData, routes, routesIndex, schedules, landmarks = [], amenities = [], fares = null,
+      sourceHash, stopMatcherCache, routeIndexCache } = source;
+
+    const stops = Object.values(stopsData);
+    const stopColumns = stops.length > 0 ? Object.keys(stops[0]) : ['id', 'lat', 'lng'];
+    const valueColumns = stopColumns.filter(column => column !== 'lat' && column !== 'lng');
+
+    const stopRefs = new Map(Object.keys(stopsData).map((id, i) => [id, i]));
+    const extraStopIds = [];
+    const ref = (stopId) => {
+      const id = String(stopId);
+      if (!stopRefs.has(id)) {
+        stopRefs.set(id, stops.length + extraStopIds.length);
+        extraStopIds.push(id);
+      }
+      return stopRefs.get(id);
+    };
+
+    const noCoords = [];
+    const coords = [];
+    stops.forEach((stop, i) => {
+      if (Number.isFinite(stop.lat) && Number.isFinite(stop.lng)) {
+        coords.push([stop.lat, stop.lng]);
+      } else {
+        noCoords.push(i);
+      }
+    });
+
+    const routeRefs = new Map(routes.map((route, i) => [route, i]));
+    const encodedRoutes = routes.map(route => {
+      const { stops: routeStops, shape, route_num, file, ...fields } = route;
+      const entry = { num: route_num, file, fields, stops: (routeStops || []).map(ref) };
+
+      const coordinates = shape && shape.geometry && shape.geometry.type === 'LineString' &&
+        shape.geometry.coordinates;
+      if (Array.isArray(coordinates)) {
+        entry.shape = this.encodePolyline(coordinates, this.shapePrecision);
+      } else if (shape !== undefined) {
+        fields.shape = shape;  // Kept as is
+      }
+      return entry;
+    });
+
+    const routeKeys = [];
+    const keyRefs = new Map();
+    const keyRef = (routeKey) => {
+      if (!keyRefs.has(routeKey)) {
+        keyRefs.set(routeKey, routeKeys.length);
+        routeKeys.push(routeKey);
+      }
+      return keyRefs.get(routeKey);
+    };
+
+    const routeStops = new Map(routeIndexCache.routeData.map(([routeKey, route]) =>
+      [routeKey, (route.stops || []).map(String)]));
+
+    const patterns = routeIndexCache.patterns.map(pattern => {
+      const expected = this.expandPattern(routeStops.get(pattern.routeKey) || [], pattern);
+      const follows = expected.join(',') === pattern.stops.join(',');
+      if (!follows && !pattern.inferred) {
+        throw new Error(`Pattern "${pattern.key}" does not follow from its route's stops`);
+      }
+      const entry = [pattern.key, keyRef(pattern.routeKey), pattern.type, pattern.direction,
+        pattern.cycleLength, pattern.turnIndex, pattern.inferred ? 1 : 0];
+      if (!follows) entry.push(pattern.stops.map(ref));
+      return entry;
+    });
+
+    const routePatterns = this.groupPatterns(routeIndexCache.patterns);
+    for (const [routeKey, keys] of routeIndexCache.routePatterns) {
+      if ((routePatterns.get(routeKey) || []).join(',') !== keys.join(',')) {
+        throw new Error(`Patterns of route "${routeKey}" are not in route order`);
+      }
+    }
+
+    return {
+      format: this.format,
+      version: this.version,
+      sourceHash,
+      stopColumns,
+      stops: stops.map(stop => valueColumns.map(column => stop[column])),
+      stopCoords: this.encodePolyline(coords, this.stopPrecision),
+      noCoords,
+      extraStopIds,
+      routes: encodedRoutes,
+      routesIndex,
+      schedules,
+      landmarks,
+      amenities,
+      fares,
+      stopMatcher: {
+        textVersion: stopMatcherCache.textVersion,
+        names: stopMatcherCache.nameToIds.map(([name, ids]) => [name, ids.map(ref)]),
+        grid: stopMatcherCache.spatialGrid.map(([cell, ids]) => [cell, ids.map(ref)])
+      },
+      routeIndex: {
+        keyVersion: routeIndexCache.keyVersion,
+        routeKeys,
+        stopRoutes: routeIndexCache.stopToRoutes.map(([stopId, keys]) => [ref(stopId), keys.map(keyRef)]),
+        transferHubs: routeIndexCache.transferHubs.map(ref),
+        routeData: routeIndexCache.routeData.map(([routeKey, route]) => [keyRef(routeKey), routeRefs.get(route)]),
+        patterns
+      }
+    };
+  }
+
+  /**
+   * Expand a bundle into the data the pages use
+   * @param {Object} bundle - Parsed network-bundle.json
+   * @returns {Object} - { stopsData, routesData, routesIndex, schedules, landmarks, amenities, fares,
+   *   sourceHash, stopMatcherCache, routeIndexCache } (caches in exportForCache() form)
+   */
+  decode(bundle) {
+    if (!bundle || bundle.format !== this.format || bundle.version !== this.version) {
+      throw new Error(`Unsupported network bundle (expected ${this.format} v${this.version})`);
+    }
+
+    // Stops
+    const coords = this.decodePolyline(bundle.stopCoords, this.stopPrecision);
+    const noCoords = new Set(bundle.noCoords);
+    const stopsData = {};
+    const stopIds = [];
+    let coordIndex = 0;
+
+    bundle.stops.forEach((row, i) => {
+      const [lat, lng] = noCoords.has(i) ? [NaN, NaN] : coords[coordIndex++];
+      const stop = {};
+      let valueIndex = 0;
+      for (const column of bundle.stopColumns) {
+        if (column === 'lat') stop.lat = lat;
+        else if (column === 'lng') stop.lng = lng;
+        else stop[column] = row[valueIndex++];
+      }
+      stopsData[stop.id] = stop;
+      stopIds.push(String(stop.id));
+    });
+    stopIds.push(...bundle.extraStopIds);
+
+    // Route files use numeric stop IDs
+    const toRouteStop = (stopRef) => {
+      const id = stopIds[stopRef];
+      return /^\d+$/.test(id) ? Number(id) : id;
+    };
+
+    // Routes
+    const routesData = bundle.routes.map(entry => {
+      const route = { ...entry.fields };
+      if (entry.shape !== undefined) {
+        route.shape = {
+          type: 'Feature',
+          properties: {},
+          geometry: { type: 'LineString', coordinates: this.decodePolyline(entry.shape, this.shapePrecision) }
+        };
+      }
+      route.stops = entry.stops.map(toRouteStop);
+      route.route_num = entry.num;
+      route.file = entry.file;
+      return route;
+    });
+
+    // RouteIndex tables
+    const index = bundle.routeIndex;
+    const keys = index.routeKeys;
+    const routeData = index.routeData.map(([keyRef, routeRef]) => [keys[keyRef], routesData[routeRef]]);
+    const routeStops = new Map(routeData.map(([routeKey, route]) => [routeKey, route.stops.map(String)]));
+
+    const patterns = index.patterns.map(([key, keyRef, type, direction, cycleLength, turnIndex, inferred, stopRefs]) => {
+      const pattern = { key, routeKey: keys[keyRef], type, direction, cycleLength, turnIndex, inferred: inferred === 1 };
+      pattern.stops = stopRefs
+        ? stopRefs.map(stopRef => stopIds[stopRef])
+        : this.expandPattern(routeStops.get(pattern.routeKey) || [], pattern);
+      return pattern;
+    });
+
+    return {
+      stopsData,
+      routesData,
+      routesIndex: bundle.routesIndex,
+      schedules: bundle.schedules,
+      landmarks: bundle.landmarks || [],
+      amenities: bundle.amenities || [],
+      fares: bundle.fares || null,
+      sourceHash: bundle.sourceHash,
+      stopMatcherCache: {
+        textVersion: bundle.stopMatcher.textVersion,
+        nameToIds: bundle.stopMatcher.names.map(([name, refs]) => [name, refs.map(ref => stopIds[ref])]),
+        spatialGrid: bundle.stopMatcher.grid.map(([cell, refs]) => [cell, refs.map(ref => stopIds[ref])])
+      },
+      routeIndexCache: {
+        stopToRoutes: index.stopRoutes.map(([stopRef, keyRefs]) => [stopIds[stopRef], keyRefs.map(k => keys[k])]),
+        transferHubs: index.transferHubs.map(ref => stopIds[ref]),
+        routeData,
+        patterns,
+        routePatterns: Array.from(this.groupPatterns(patterns).entries()),
+        keyVersion: index.keyVersion
+      }
+    };
+  }
+
+  /**
+   * Stop sequence of a pattern, from its route's stops (as RouteIndex.buildPatterns builds it)
+   * @param {Array<string>} sequence - Route stops (string IDs)
+   * @param {Object} pattern - { type, direction, cycleLength }
+   * @returns {Array<string>}
+   */
+  expandPattern(sequence, pattern) {
+    if (pattern.type === 'loop') {
+      const cycle = sequence.slice(0, pattern.cycleLength);
+      return cycle.concat(cycle, [cycle[0]]);
+    }
+    return pattern.direction === 'inbound' ? sequence.slice().reverse() : sequence;
+  }
+
+  /**
+   * routeKey → pattern keys, in pattern order
+   * @param {Array<Object>} patterns
+   * @returns {Map<string, Array<string>>}
+   */
+  groupPatterns(patterns) {
+    const groups = new Map();
+    for (const pattern of patterns) {
+      if (!groups.has(pattern.routeKey)) groups.set(pattern.routeKey, []);
+      groups.get(pattern.routeKey).push(pattern.key);
+    }
+    return groups;
+  }
+
+  /**
+   * Encoded polyline (Google algorithm) of coordinate pairs, in the order given
+   * @param {Array<Array<number>>} points
+   * @param {number} precision - e.g. 1e5 for 5 decimals
+   * @returns {string}
+   */
+  encodePolyline(points, precision) {
+    let output = '';
+    const previous = [0, 0];
+
+    for (const point of points) {
+      for (let i = 0; i < 2; i++) {
+        const value = Math.round(point[i] * precision);
+        output += this.encodeSigned(value - previous[i]);
+        previous[i] = value;
+      }
+    }
+
+    return output;
+  }
+
+  /**
+   * Encode one signed delta as polyline characters
+   * @param {number} value - Integer
+   * @returns {string}
+   */
+  encodeSigned(value) {
+    let rest = value < 0 ? ~(value << 1) : value << 1;
+    let output = '';
+    while (rest >= 0x20) {
+      output += String.fromCharCode((0x20 | (rest & 0x1f)) + 63);
+      rest >>= 5;
+    }
+    return output + String.fromCharCode(rest + 63);
+  }
+
+  /**
+   * Decode an encoded polyline into coordinate pairs
+   * @param {string} text
+   * @param {number} precision
+   * @returns {Array<Array<number>>}
+   */
+  decodePolyline(text, precision) {
+    const points = [];
+    const current = [0, 0];
+    let index = 0;
+
+    while (index < text.length) {
+      const point = [];
+      for (let i = 0; i < 2; i++) {
+        let result = 0;
+        let shift = 0;
+        let byte;
+        do {
+          byte = text.charCodeAt(index++) - 63;
+          result |= (byte & 0x1f) << shift;
+          shift += 5;
+        } while (byte >= 0x20);
+
+        current[i] += (result & 1) ? ~(result >> 1) : (result >> 1);
+        point.push(current[i] / precision);
+      }
+      points.push(point);
+    }
+
+    return points;
+  }
+}
+
+// Export as singleton instance
+const networkBundle = new NetworkBundle();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = networkBundle;
+}
@@ -0,0 +1,149 @@
+/**
+ * OfflineSupport - Service worker registration, update notice, tile-less maps
+ *
+ * Features:
+ * - Registers sw.js (pages, scripts and the dataset work offline)
+ * - Shows a "data updated" notice when the service worker has downloaded
+ *   a new dataset, with a button to reload
+ * - Falls back to a tile-less map when tiles can't load (offline); route
+ *   lines and stop markers are still drawn
+ *
+ * Usage:
+ * offlineSupport.register();
+ * const tiles = L.tileLayer(...).addTo(map);
+ * offlineSupport.watchTiles(map, tiles);
+ */
+
+class OfflineSupport {
+  constructor() {
+    this.serviceWorkerUrl = 'sw.js';
+    this.tileErrorThreshold = 3;   // Failed tiles in a row before going tile-less
+    this.notice = null;
+  }
+
+  /**
+   * Register the service worker and listen for dataset updates
+   */
+  register() {
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'data-updated') {
+        console.log('[OfflineSupport] New bus data available:', event.data.version);
+        this.showUpdateNotice();
+      }
+    });
+
+    window.addEventListener('load', () => {
+      navigator.serviceWorker.register(this.serviceWorkerUrl)
+        .then(registration => console.log('[OfflineSupport] Service worker registered:', registration.scope))
+        .catch(error => console.warn('[OfflineSupport] Service worker registration failed:', error));
+    });
+  }
+
+  /**
+   * Show the "data updated" banner
+   */
+  showUpdateNotice() {
+    if (this.notice) return;
+
+    this.notice = document.createElement('div');
+    this.notice.style.cssText = `
+      position: fixed;
+      left: 50%;
+      bottom: 20px;
+      transform: translateX(-50%);
+      z-index: 2000;
+      display: flex;
+      align-items: center;
+      gap: 12px;
+      padding: 12px 16px;
+      background: #333;
+      color: white;
+      border-radius: 8px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      font-size: 0.9em;
+    `;
+    this.notice.innerHTML = `
+      <span>🔄 Bus data has been updated</span>
+      <button data-action="reload" style="padding: 6px 12px; background: #48bb78; color: white; border: none; border-radius: 4px; font-weight: 600; cursor: pointer;">Reload</button>
+      <button data-action="dismiss" style="background: none; border: none; color: #ccc; font-size: 1.1em; cursor: pointer;">✕</button>
+    `;
+
+    this.notice.addEventListener('click', (e) => {
+      const action = e.target.dataset.action;
+      if (action === 'reload') {
+        window.location.reload();
+      } else if (action === 'dismiss') {
+        this.notice.remove();
+        this.notice = null;
+      }
+    });
+
+    document.body.appendChild(this.notice);
+  }
+
+  /**
+   * Switch a Leaflet map to a tile-less view while tiles can't be loaded
+   * @param {Object} map - Leaflet map
+   * @param {Object} tileLayer - Leaflet tile layer on the map
+   */
+  watchTiles(map, tileLayer) {
+    let failedTiles = 0;
+    let tileless = false;
+
+    const notice = L.control({ position: 'topright' });
+    notice.onAdd = () => {
+      const div = L.DomUtil.create('div');
+      div.style.cssText = `
+        background: white;
+        padding: 6px 10px;
+        border-radius: 4px;
+        box-shadow: 0 1px 5px rgba(0,0,0,0.3);
+        font-size: 0.8rem;
+        color: #666;
+      `;
+      div.textContent = '📴 Offline: map background unavailable, routes and stops still shown';
+      return div;
+    };
+
+    const setTileless = (value) => {
+      if (value === tileless) return;
+      tileless = value;
+
+      map.getContainer().style.background = value ? '#f2efe9' : '';
+      tileLayer.setOpacity(value ? 0 : 1);
+      if (value) {
+        notice.addTo(map);
+      } else {
+        notice.remove();
+      }
+      console.log(`[OfflineSupport] Map tiles ${value ? 'unavailable' : 'available'}`);
+    };
+
+    tileLayer.on('tileerror', () => {
+      failedTiles++;
+      if (failedTiles >= this.tileErrorThreshold) setTileless(true);
+    });
+    tileLayer.on('tileload', () => {
+      failedTiles = 0;
+      setTileless(false);
+    });
+
+    window.addEventListener('offline', () => setTileless(true));
+    window.addEventListener('online', () => {
+      failedTiles = 0;
+      tileLayer.redraw();
+    });
+
+    if (!navigator.onLine) setTileless(true);
+  }
+}
+
+// Export as singleton instance
+const offlineSupport = new OfflineSupport();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = offlineSupport;
+}
@@ -1,21 +1,64 @@
 /**
  * PathFinder - Multi-transfer pathfinding engine for YBS routes
  *
- * Algorithm: Modified BFS with route awareness
- * - Finds ALL possible paths (not just shortest)
+ * Algorithm: Round-based (RAPTOR-style) search, one round per bus
+ * - Scans precomputed route-stop position tables from routeIndex
+ * - Returns the Pareto set of (transfers, cost) plus ranked alternatives
  * - Supports multiple transfers
- * - Ranks paths by transfers, stops, and distance
- * - Returns top N best options
+ * - Walking transfers between nearby stops (explicit "walk" legs)
+ * - Stop-to-stop queries start and end at every platform of the stops'
+ *   stations (same-name stops grouped by stopMatcher)
+ * - Planning between arbitrary coordinates (walk to first / from last stop),
+ *   e.g. landmarks, which also plan from their linked stops
+ * - Fares per leg and path (by agency, distance, payment method)
+ * - Transfers only at stops with the amenities a rider needs (e.g. step-free
+ *   boarding), when asked
+ * - Ranks paths with named profiles (balanced, fewest transfers, fastest,
+ *   least walking, quiet transfers, cheapest) or custom weights; costs are
+ *   absolute, so a path ranks the same whatever else was found
+ * - Returns top N best options, near-duplicates (same routes with the
+ *   transfer point shifted, parallel route variants) folded into the best
+ *   of them as similarPaths
+ * - Stepwise search with cancellation, progress and partial results
+ *   (findPathsInSteps; run in a worker by PathFinderClient)
+ * - Re-ranking the last search's journeys (all of them, not only those
+ *   returned) for another profile or payment method without searching again
  *
  * Uses:
  * - routeIndex for fast route lookups
  * - stopMatcher for stop data
+ * - timeModel (optional TravelTimeModel) for duration estimates
+ * - fareModel (optional FareModel) for fares
+ * - schedule (optional ServiceSchedule) for service hours and headways
+ * - geometry (optional RouteGeometry) for distances along route shapes
  */
 
 class PathFinder {
-  constructor(routeIndex, stopMatcher) {
+  constructor(routeIndex, stopMatcher, options = {}) {
     this.routeIndex = routeIndex;
     this.stopMatcher = stopMatcher;
+    this.timeModel = options.timeModel ||
+      (typeof TravelTimeModel !== 'undefined' ? new TravelTimeModel() : null);
+    this.fareModel = options.fareModel ||
+      (typeof FareModel !== 'undefined' ? new FareModel() : null);
+    this.schedule = options.schedule ||
+      (typeof serviceSchedule !== 'undefined' ? serviceSchedule : null);
+    this.geometry = options.geometry ||
+      (typeof routeGeometry !== 'undefined' ? routeGeometry : null);
+    this.walkingLinkCache = new Map();   // "maxWalk:stopId" → [{ stopId, distance }]
+    this.patternsPerStep = 25;           // Patterns scanned between steps of runSearch
+    this.lastCandidates = [];            // Every running journey the last finished search found (for rerankLastSearch)
+
+    // Ranking profiles: cost per unit of each path feature (see getRankingFeatures);
+    // paths rank by their total cost, lowest first
+    this.rankingProfiles = {
+      score: { label: 'Balanced', weights: { transfers: 10, stops: 1, distance: 0.5, walk: 1 } },
+      transfers: { label: 'Fewest transfers', weights: { transfers: 100, stops: 1, walk: 1 } },
+      time: { label: 'Fastest', weights: { minutes: 1, transfers: 1 } },
+      walk: { label: 'Least walking', weights: { walk: 10, transfers: 5, stops: 1 } },
+      hubs: { label: 'Quiet transfers', weights: { hubRoutes: 1, transfers: 10, stops: 1, walk: 1 } },
+      cheapest: { label: 'Cheapest', weights: { fare: 0.5, stops: 0.5, walk: 0.5 } }
+    };
   }
 
   /**
@@ -23,29 +66,55 @@ class PathFinder {
    * @param {string} fromStopId - Origin stop ID
    * @param {string} toStopId - Destination stop ID
    * @param {Object} options - Search options
+   * @param {number} [options.maxTransfers=2] - Limit to 2 transfers (3 buses max)
+   * @param {number} [options.maxPaths=10] - Return top 10 paths
+   * @param {number} [options.maxDistance=50] - km - ignore paths > 50km
+   * @param {number} [options.maxWalkDistance=300] - m - max walk between nearby stops (0 = no walking)
+   * @param {number} [options.walkMetersPerStop=200] - m - walking this far costs as much as riding one stop
+   * @param {string|Object} [options.rankBy='score'] - Ranking profile name (see rankingProfiles)
+   *   or custom weights, e.g. { transfers: 20, walk: 5 } (see getRankingFeatures)
+   * @param {Date} [options.departureTime] - Leave at; excludes routes not running and adds
+   *   expected waits from schedules (default: now, no exclusion)
+   * @param {number} [options.maxWaitMinutes=60] - min - skip routes whose first bus is further away than this
+   * @param {string} [options.payment] - 'cash' or 'card', for fares (default: the fare model's)
+   * @param {Array<string>} [options.requiredAmenities=[]] - Only change buses (or walk between them) at stops
+   *   with these amenities, e.g. ['stepFree', 'shelter'] (see StopMatcher.getAmenities)
+   * @param {boolean} [options.requireKnownAmenities=false] - Also avoid stops whose amenities are unknown
+   * @param {boolean} [options.diversify=true] - Fold near-identical paths into the best of them (similarPaths)
+   * @param {number} [options.corridorOverlap=0.6] - Share of two rides' stops (of all either passes) they must share to count as the same corridor
+   * @param {number} [options.timeout=5000] - ms - stop scanning after this long and rank the journeys found
+   *   so far (slow phones; in steps, the time between steps counts too)
    * @returns {Array<Object>} - Array of path objects, ranked
    */
   findAllPaths(fromStopId, toStopId, options = {}) {
-    const {
-      maxTransfers = 2,        // Limit to 2 transfers (3 buses max)
-      maxPaths = 10,           // Return top 10 paths
-      maxDistance = 50,        // km - ignore paths > 50km
-      timeout = 5000           // ms - max search time
-    } = options;
+    const ends = this.getStopEnds(fromStopId, toStopId, options);
+    return ends ? this.searchPaths(ends.origin, ends.destination, options) : [];
+  }
+
+  /**
+   * Search ends for a stop-to-stop query (the stops' station platforms plus
+   * nearby stops to walk to)
+   * @param {string} fromStopId
+   * @param {string} toStopId
+   * @param {Object} options - Search options
+   * @returns {Object|null} - { origin, destination }, or null if the stops are invalid
+   */
+  getStopEnds(fromStopId, toStopId, options = {}) {
+    const { maxWalkDistance = 300 } = options;
 
     console.log(`[PathFinder] Finding paths from ${fromStopId} to ${toStopId}`);
-    const startTime = performance.now();
 
     // Validate inputs
     if (!fromStopId || !toStopId) {
       console.error('[PathFinder] Invalid stop IDs');
-      return [];
+      return null;
     }
 
-    // Same origin and destination
-    if (fromStopId === toStopId) {
+    // Same origin and destination (or two platforms of one station)
+    const fromPlatforms = this.stopMatcher.getStationStopIds(fromStopId);
+    if (fromStopId === toStopId || fromPlatforms.includes(String(toStopId))) {
       console.warn('[PathFinder] Origin and destination are the same');
-      return [];
+      return null;
     }
 
     // Check if stops exist
@@ -54,192 +123,675 @@ class PathFinder {
 
     if (!fromStop || !toStop) {
       console.error('[PathFinder] Stop(s) not found in database');
-      return [];
+      return null;
     }
 
-    // BFS state
-    const paths = [];
-    const queue = [];
-    const visited = new Map(); // "stopId-routeKey" → min transfers seen
+    return {
+      origin: { place: fromStop, accessLinks: this.getStopLinks(fromStopId, maxWalkDistance) },
+      destination: { place: toStop, accessLinks: this.getStopLinks(toStopId, maxWalkDistance) }
+    };
+  }
 
-    // Initialize: add all routes serving origin to queue
-    const startRoutes = this.routeIndex.getRoutes(fromStopId);
+  /**
+   * Access links for a stop: every platform of its station (no walk) and the
+   * stops within walking distance of any of them
+   * @param {string} stopId
+   * @param {number} maxWalkDistance - Meters
+   * @returns {Array<Object>} - [{ stopId, distance }]
+   */
+  getStopLinks(stopId, maxWalkDistance) {
+    const platforms = this.stopMatcher.getStationStopIds(stopId);
+    const links = new Map(platforms.map(platformId => [platformId, 0]));  // stopId → shortest walk (m)
 
-    if (startRoutes.size === 0) {
-      console.warn(`[PathFinder] No routes serve origin stop ${fromStopId}`);
-      return [];
+    for (const platformId of platforms) {
+      for (const link of this.getWalkingLinks(platformId, maxWalkDistance)) {
+        if (!links.has(link.stopId) || links.get(link.stopId) > link.distance) {
+          links.set(link.stopId, link.distance);
+        }
+      }
     }
 
-    for (const routeKey of startRoutes) {
-      queue.push({
-        currentStop: fromStopId,
-        currentRoute: routeKey,
-        legs: [],  // No legs yet, starting at origin
-        visitedStops: new Set([fromStopId]),
-        transferCount: 0
-      });
+    return Array.from(links, ([linkStopId, distance]) => ({ stopId: linkStopId, distance }));
+  }
+
+  /**
+   * Find paths between two arbitrary coordinates (e.g. a map click)
+   * Plans from every stop within walking radius of the origin to every
+   * stop within walking radius of the destination, adding walk legs.
+   * @param {Object} origin - { lat, lng, name? }
+   * @param {Object} destination - { lat, lng, name? }
+   * @param {Object} options - Search options (see findAllPaths), plus
+   *   walkRadius (m) and maxCandidateStops per end
+   * @returns {Array<Object>} - Array of path objects, ranked
+   */
+  findPathsFromLocation(origin, destination, options = {}) {
+    const ends = this.getLocationEnds(origin, destination, options);
+    return ends ? this.searchPaths(ends.origin, ends.destination, options) : [];
+  }
+
+  /**
+   * Search ends for a coordinate-to-coordinate query (stops within walking
+   * radius, plus any stops the location is linked to, e.g. a landmark's)
+   * @param {Object} origin - { lat, lng, name?, name_mm?, stopIds? }
+   * @param {Object} destination - { lat, lng, name?, name_mm?, stopIds? }
+   * @param {Object} options - Search options (see findPathsFromLocation)
+   * @returns {Object|null} - { origin, destination }, or null if there is nothing to plan from
+   */
+  getLocationEnds(origin, destination, options = {}) {
+    const {
+      walkRadius = 500,        // m - how far to walk to the first / from the last stop
+      maxCandidateStops = 8    // Nearest stops to plan from at each end
+    } = options;
+
+    if (!origin || !destination ||
+        !Number.isFinite(origin.lat) || !Number.isFinite(origin.lng) ||
+        !Number.isFinite(destination.lat) || !Number.isFinite(destination.lng)) {
+      console.error('[PathFinder] Invalid coordinates');
+      return null;
     }
 
-    console.log(`[PathFinder] Starting search with ${startRoutes.size} routes from origin`);
+    console.log(`[PathFinder] Finding paths from (${origin.lat}, ${origin.lng}) to (${destination.lat}, ${destination.lng})`);
 
-    // BFS exploration
-    let iterations = 0;
-    const maxIterations = 10000; // Safety limit
+    const originLinks = this.getLocationLinks(origin, walkRadius, maxCandidateStops);
+    const destinationLinks = this.getLocationLinks(destination, walkRadius, maxCandidateStops);
 
-    while (queue.length > 0 && iterations < maxIterations) {
-      iterations++;
+    if (originLinks.length === 0 || destinationLinks.length === 0) {
+      console.warn(`[PathFinder] No stops within ${walkRadius}m of ${originLinks.length === 0 ? 'origin' : 'destination'}`);
+      return null;
+    }
 
-      // Check timeout
-      if (performance.now() - startTime > timeout) {
-        console.warn('[PathFinder] Search timeout reached');
-        break;
+    return {
+      origin: { place: this.createLocationPlace(origin, 'Your location'), accessLinks: originLinks },
+      destination: { place: this.createLocationPlace(destination, 'Destination'), accessLinks: destinationLinks }
+    };
+  }
+
+  /**
+   * Search in steps, letting other work run (and the search be cancelled)
+   * between them; used by the pathfinding worker
+   * @param {Object} query - { fromStopId, toStopId } or { origin, destination } coordinates
+   * @param {Object} options - Search options (see findAllPaths / findPathsFromLocation)
+   * @param {Object} [hooks]
+   * @param {Function} [hooks.onProgress] - (fraction 0-1) after every step
+   * @param {Function} [hooks.onPartial] - (ranked paths so far) after each round that found new ones
+   * @param {Function} [hooks.isCancelled] - Checked between steps
+   * @returns {Promise<Array<Object>|null>} - Ranked paths, or null if cancelled
+   */
+  async findPathsInSteps(query, options = {}, hooks = {}) {
+    const { onProgress = null, onPartial = null, isCancelled = () => false } = hooks;
+
+    const ends = query.fromStopId !== undefined
+      ? this.getStopEnds(query.fromStopId, query.toStopId, options)
+      : this.getLocationEnds(query.origin, query.destination, options);
+    if (!ends) return [];
+
+    const search = this.runSearch(ends.origin, ends.destination, options);
+    let partialCount = 0;
+    let step = search.next();
+
+    while (!step.done) {
+      const { round, maxRounds, scanned, total, candidates } = step.value;
+
+      if (onProgress) {
+        onProgress(Math.min(1, (round - 1 + (total > 0 ? scanned / total : 1)) / maxRounds));
+      }
+      if (onPartial && scanned === total && candidates.size > partialCount) {
+        partialCount = candidates.size;
+        onPartial(this.rankCandidates(candidates, options).paths);
       }
 
-      const state = queue.shift();
+      // Give queued messages (a newer query) a chance to run
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (isCancelled()) {
+        console.log('[PathFinder] Search cancelled');
+        return null;
+      }
+      step = search.next();
+    }
 
-      // Get all stops reachable on current route from current position
-      const reachableStops = this.getReachableStops(
-        state.currentStop,
-        state.currentRoute
-      );
+    return step.value;
+  }
 
-      for (const stop of reachableStops) {
-        // Check if we reached destination
-        if (stop.id === toStopId) {
-          // Build complete path
-          const path = this.buildCompletePath(state, stop, fromStop, toStop);
+  /**
+   * Round-based (RAPTOR-style) search shared by findAllPaths and findPathsFromLocation
+   *
+   * Round k finds the cheapest way to reach every stop using k buses, where
+   * cost is stops ridden plus walking converted to stop-equivalents. A label
+   * only improves a stop if it beats every earlier round, so the labels form
+   * the Pareto set of (transfers, cost). Every route that reaches the
+   * destination in a round also contributes a candidate journey, which gives
+   * the ranking stage alternatives to choose from.
+   *
+   * @param {Object} origin - { place, accessLinks: [{ stopId, distance }] }
+   * @param {Object} destination - { place, accessLinks: [{ stopId, distance }] }
+   * @param {Object} options - Search options
+   * @returns {Array<Object>} - Array of path objects, ranked
+   */
+  searchPaths(origin, destination, options = {}) {
+    const search = this.runSearch(origin, destination, options);
+    let step = search.next();
+    while (!step.done) step = search.next();
+    return step.value;
+  }
 
-          if (path) {
-            paths.push(path);
+  /**
+   * The search itself, as a generator: yields after every patternsPerStep
+   * patterns scanned and at the end of each round, returns the ranked paths
+   *
+   * Yielded steps: { round, maxRounds, scanned, total, candidates }
+   * (scanned === total at the end of a round; candidates: signature → path)
+   *
+   * @param {Object} origin - See searchPaths
+   * @param {Object} destination - See searchPaths
+   * @param {Object} options - Search options
+   * @returns {Generator<Object, Array<Object>>}
+   */
+  *runSearch(origin, destination, options = {}) {
+    const {
+      maxTransfers = 2,
+      maxWalkDistance = 300,
+      walkMetersPerStop = 200, // Walking this far costs as much as riding one stop
+      departureTime = null,
+      maxWaitMinutes = 60,
+      requiredAmenities = [],
+      requireKnownAmenities = false,
+      timeout = 5000
+    } = options;
 
-            // Early termination if we have enough direct paths
-            if (path.transferCount === 0 && paths.filter(p => p.transferCount === 0).length >= 3) {
-              console.log('[PathFinder] Found sufficient direct paths, continuing search for alternatives...');
-            }
-          }
-          continue;
-        }
+    const startTime = performance.now();
+    const walkCost = meters => meters / walkMetersPerStop;
+    const canTransferAt = stopId => requiredAmenities.length === 0 ||
+      this.stopMatcher.hasAmenities(stopId, requiredAmenities, requireKnownAmenities);
+
+    // Stops where the ride can end → metres left to walk to the destination
+    const targets = new Map();
+    for (const link of destination.accessLinks) {
+      targets.set(link.stopId, link.distance);
+    }
+
+    // Round 0: labels at the start stops (after walking to them, if needed)
+    const bestCost = new Map();   // stopId → cheapest cost over all rounds
+    let labels = new Map();       // stopId → { stopId, cost, route, leg, prev }
+    let marked = new Set();       // stops improved in the previous round
+
+    for (const link of origin.accessLinks) {
+      const cost = walkCost(link.distance);
+      if (this.routeIndex.getRoutes(link.stopId).size === 0) continue;
+      if (bestCost.has(link.stopId) && bestCost.get(link.stopId) <= cost) continue;
 
-        // Prune: skip if visited this (stop, route) combo with fewer transfers
-        const visitKey = `${stop.id}-${state.currentRoute}`;
-        if (visited.has(visitKey) && visited.get(visitKey) <= state.transferCount) {
-          continue;
+      labels.set(link.stopId, {
+        stopId: link.stopId,
+        cost,
+        route: null,
+        leg: link.distance > 0
+          ? { type: 'walk', boardStop: origin.place, alightStop: link.stopId, distance: link.distance }
+          : null,
+        prev: null
+      });
+      bestCost.set(link.stopId, cost);
+      marked.add(link.stopId);
+    }
+
+    if (marked.size === 0) {
+      console.warn('[PathFinder] No routes serve the origin');
+      return [];
+    }
+
+    console.log(`[PathFinder] Starting search from ${marked.size} origin stop(s)`);
+
+    const candidates = new Map(); // journey signature → path
+    const maxRounds = maxTransfers + 1;
+    let rounds = 0;
+    let timedOut = false;
+
+    for (let round = 1; round <= maxRounds && marked.size > 0 && !timedOut; round++) {
+      rounds = round;
+      const prevLabels = labels;
+      const busArrivals = new Map(); // stopId → label improved by bus this round
+      labels = new Map(prevLabels);
+
+      // Scan every route pattern serving a marked stop, from its earliest marked position
+      const queue = this.collectMarkedPatterns(marked);
+      let scanned = 0;
+
+      for (const [patternKey, startPosition] of queue) {
+        if (scanned > 0 && scanned % this.patternsPerStep === 0) {
+          yield { round, maxRounds, scanned, total: queue.size, candidates };
         }
-        visited.set(visitKey, state.transferCount);
-
-        // Option 1: Continue on same route (no transfer)
-        if (!state.visitedStops.has(stop.id)) {
-          queue.push({
-            currentStop: stop.id,
-            currentRoute: state.currentRoute,
-            legs: state.legs,  // Same legs, no new leg yet
-            visitedStops: new Set([...state.visitedStops, stop.id]),
-            transferCount: state.transferCount
-          });
+        scanned++;
+
+        // Out of time: keep the journeys found so far
+        if (performance.now() - startTime > timeout) {
+          console.warn(`[PathFinder] Search timeout reached (${timeout}ms) in round ${round} of ${maxRounds}`);
+          timedOut = true;
+          break;
         }
 
-        // Option 2: Transfer to another route (if under transfer limit)
-        if (state.transferCount < maxTransfers) {
-          const transferRoutes = this.routeIndex.getRoutes(stop.id);
+        const pattern = this.routeIndex.getPattern(patternKey);
+        const routeKey = pattern.routeKey;
+        if (departureTime && !this.isRouteAvailable(routeKey, departureTime, maxWaitMinutes)) continue;
+
+        const stops = pattern.stops;
+        let boardLabel = null;
+        let boardPosition = -1;
 
-          for (const newRoute of transferRoutes) {
-            if (newRoute === state.currentRoute) continue; // Skip same route
+        for (let position = startPosition; position < stops.length; position++) {
+          const stopId = stops[position];
 
-            // Create leg for the segment we just completed
-            const newLeg = {
-              route: state.currentRoute,
-              boardStop: state.legs.length === 0 ? fromStopId : state.legs[state.legs.length - 1].alightStop,
-              alightStop: stop.id
+          // Arrive here on the bus boarded earlier in the scan (at most one run of a loop)
+          if (boardLabel && position - boardPosition < pattern.cycleLength) {
+            const label = {
+              stopId,
+              cost: boardLabel.cost + (position - boardPosition),
+              route: routeKey,
+              leg: {
+                type: 'bus',
+                route: routeKey,
+                pattern: patternKey,
+                boardStop: stops[boardPosition],
+                alightStop: stopId,
+                boardIndex: boardPosition,
+                alightIndex: position
+              },
+              prev: boardLabel
             };
 
-            queue.push({
-              currentStop: stop.id,
-              currentRoute: newRoute,
-              legs: [...state.legs, newLeg],  // Add completed leg
-              visitedStops: new Set([...state.visitedStops, stop.id]),
-              transferCount: state.transferCount + 1
+            if (targets.has(stopId)) {
+              const walkToDestination = targets.get(stopId);
+              this.addCandidate(candidates, label, destination.place, walkToDestination, label.cost + walkCost(walkToDestination));
+            }
+
+            if (label.cost < this.getCost(bestCost, stopId)) {
+              labels.set(stopId, label);
+              busArrivals.set(stopId, label);
+              bestCost.set(stopId, label.cost);
+            }
+          }
+
+          // Board here if that beats staying on from an earlier stop
+          // (never re-board the route we just got off, even after a walk;
+          // after a bus, only where the rider can change buses)
+          const waiting = prevLabels.get(stopId);
+          if (waiting && waiting.route !== routeKey &&
+              (waiting.route === null || canTransferAt(stopId)) &&
+              (!boardLabel || waiting.cost - position < boardLabel.cost - boardPosition)) {
+            boardLabel = waiting;
+            boardPosition = position;
+          }
+        }
+      }
+
+      marked = new Set(busArrivals.keys());
+
+      // Walking transfers from stops reached by bus this round
+      if (round <= maxTransfers) {
+        for (const [stopId, arrival] of busArrivals) {
+          if (!canTransferAt(stopId)) continue;
+          for (const link of this.getWalkingLinks(stopId, maxWalkDistance)) {
+            const cost = arrival.cost + walkCost(link.distance);
+            if (cost >= this.getCost(bestCost, link.stopId)) continue;
+
+            labels.set(link.stopId, {
+              stopId: link.stopId,
+              cost,
+              route: arrival.route,  // Last bus ridden, carried across the walk
+              leg: { type: 'walk', boardStop: stopId, alightStop: link.stopId, distance: link.distance },
+              prev: arrival
             });
+            bestCost.set(link.stopId, cost);
+            marked.add(link.stopId);
+          }
+        }
+      }
+
+      yield { round, maxRounds, scanned: queue.size, total: queue.size, candidates };
+    }
+
+    const { paths, running, found, pareto, outOfService } = this.rankCandidates(candidates, options);
+    this.lastCandidates = running;
+
+    console.log(`[PathFinder] Search completed in ${rounds} rounds, ${(performance.now() - startTime).toFixed(2)}ms`);
+    console.log(`[PathFinder] Found ${found} candidate paths (${pareto} Pareto-optimal)`);
+    if (outOfService > 0) {
+      console.log(`[PathFinder] Excluded ${outOfService} paths using routes out of service`);
+    }
+
+    console.log(`[PathFinder] Returning top ${paths.length} paths`);
+    return paths;
+  }
+
+  /**
+   * Rank the journeys found so far (also used for partial results)
+   * @param {Map<string, Object>} candidates - signature → path
+   * @param {Object} options - Search options
+   * @returns {Object} - { paths: ranked paths, running: every path in service, found, pareto, outOfService } (counts)
+   */
+  rankCandidates(candidates, options = {}) {
+    const {
+      maxPaths = 10,
+      maxDistance = 50,
+      rankBy = 'score',
+      departureTime = null,
+      payment,
+      diversify = true,
+      corridorOverlap = 0.6
+    } = options;
+
+    const paths = this.markParetoPaths(Array.from(candidates.values()))
+      .filter(path => path.totalDistance <= maxDistance);
+
+    // Duration estimates (with schedule-based waits when leaving at a given time)
+    if (this.timeModel) {
+      const clock = departureTime || new Date();
+      paths.forEach(path => this.timeModel.annotatePath(path, clock, departureTime ? this.schedule : null));
+    }
+
+    // Fares (ranked on by the cheapest profile)
+    if (this.fareModel) {
+      paths.forEach(path => this.fareModel.annotatePath(path, payment));
+    }
+
+    // Drop journeys that would need a bus after its last service
+    const runningPaths = paths.filter(path => !path.outOfService);
+
+    return {
+      paths: this.selectPaths(runningPaths, { maxPaths, rankBy, diversify, corridorOverlap }),
+      running: runningPaths,
+      found: paths.length,
+      pareto: paths.filter(p => p.isPareto).length,
+      outOfService: paths.length - runningPaths.length
+    };
+  }
+
+  /**
+   * Pick the top paths: Pareto-optimal journeys always make the cut,
+   * alternatives fill the rest, and near-identical ones are folded
+   * @param {Array<Object>} paths - Paths with isPareto marked
+   * @param {Object} options - maxPaths, rankBy, diversify, corridorOverlap (see findAllPaths)
+   * @returns {Array<Object>} - Ranked paths (with similarPaths when diversifying)
+   */
+  selectPaths(paths, options = {}) {
+    const { maxPaths = 10, rankBy = 'score', diversify = true, corridorOverlap = 0.6 } = options;
+
+    // A larger pool when near-duplicates are folded, so different ones fill the top N
+    const poolSize = diversify ? maxPaths * 3 : maxPaths;
+    const pareto = paths.filter(p => p.isPareto);
+    const alternatives = this.rankPaths(paths.filter(p => !p.isPareto), Math.max(0, poolSize - pareto.length), rankBy);
+    const ranked = this.rankPaths([...pareto, ...alternatives], poolSize, rankBy);
+
+    return (diversify ? this.diversifyPaths(ranked, corridorOverlap) : ranked).slice(0, maxPaths);
+  }
+
+  /**
+   * Rank the last finished search's journeys again (e.g. for another ranking
+   * profile or payment method) without a new search; every journey it found
+   * is considered, including those the first ranking left out
+   * @param {Object} [options] - maxPaths, rankBy, payment, diversify, corridorOverlap (see findAllPaths)
+   * @returns {Array<Object>} - Ranked paths ([] before the first search)
+   */
+  rerankLastSearch(options = {}) {
+    const { payment } = options;
+
+    if (payment !== undefined && this.fareModel) {
+      this.lastCandidates.forEach(path => this.fareModel.annotatePath(path, payment));
+    }
+
+    const paths = this.selectPaths(this.lastCandidates, options);
+    console.log(`[PathFinder] Re-ranked ${this.lastCandidates.length} journeys of the last search`);
+    return paths;
+  }
+
+  /**
+   * Lowest known cost for a stop (Infinity if unreached)
+   * @param {Map<string, number>} bestCost
+   * @param {string} stopId
+   * @returns {number}
+   */
+  getCost(bestCost, stopId) {
+    return bestCost.has(stopId) ? bestCost.get(stopId) : Infinity;
+  }
+
+  /**
+   * Check if a route runs at (or starts soon after) a departure time
+   * @param {string} routeKey
+   * @param {Date} departureTime
+   * @param {number} maxWaitMinutes
+   * @returns {boolean}
+   */
+  isRouteAvailable(routeKey, departureTime, maxWaitMinutes) {
+    if (!this.schedule) return true;
+
+    const untilService = this.schedule.getMinutesUntilService(routeKey, departureTime);
+    return untilService !== null && untilService <= maxWaitMinutes;
+  }
+
+  /**
+   * Collect route patterns serving marked stops, with the earliest marked position per pattern
+   * @param {Set<string>} marked
+   * @returns {Map<string, number>} - patternKey → position to start scanning from
+   */
+  collectMarkedPatterns(marked) {
+    const queue = new Map();
+
+    for (const stopId of marked) {
+      for (const routeKey of this.routeIndex.getRoutes(stopId)) {
+        for (const patternKey of this.routeIndex.getRoutePatterns(routeKey)) {
+          const position = this.routeIndex.getPatternPositions(patternKey, stopId)[0];
+          if (!queue.has(patternKey) || position < queue.get(patternKey)) {
+            queue.set(patternKey, position);
           }
         }
       }
     }
 
-    console.log(`[PathFinder] Search completed in ${iterations} iterations, ${(performance.now() - startTime).toFixed(2)}ms`);
-    console.log(`[PathFinder] Found ${paths.length} raw paths`);
+    return queue;
+  }
+
+  /**
+   * Record a journey ending at a destination stop (deduplicated by legs)
+   * @param {Map<string, Object>} candidates - signature → path
+   * @param {Object} label - Label for the final bus arrival
+   * @param {Object} destinationPlace - Destination stop or location
+   * @param {number} walkToDestination - Meters left to walk
+   * @param {number} totalCost - Journey cost including the final walk
+   */
+  addCandidate(candidates, label, destinationPlace, walkToDestination, totalCost) {
+    const legs = [];
+    for (let current = label; current; current = current.prev) {
+      if (current.leg) legs.unshift(current.leg);
+    }
 
-    // Rank and return best paths
-    const rankedPaths = this.rankPaths(paths, maxPaths);
+    // By what the rider does: the same bus between the same stops on another
+    // pattern of its route (e.g. both runs of a loop) is the same journey
+    const signature = legs
+      .map(leg => leg.type === 'walk'
+        ? `walk:${leg.alightStop.id || leg.alightStop}`
+        : `${leg.route}:${leg.boardStop}-${leg.alightStop}/${leg.alightIndex - leg.boardIndex}`)
+      .join('|');
+    if (candidates.has(signature)) return;
 
-    console.log(`[PathFinder] Returning top ${rankedPaths.length} paths`);
-    return rankedPaths;
+    const path = this.buildCompletePath(legs, destinationPlace, walkToDestination);
+    if (path) {
+      path.cost = parseFloat(totalCost.toFixed(2));
+      candidates.set(signature, path);
+    }
+  }
+
+  /**
+   * Flag paths on the Pareto front of (transfers, cost)
+   * @param {Array<Object>} paths
+   * @returns {Array<Object>} - Same paths with isPareto set
+   */
+  markParetoPaths(paths) {
+    for (const path of paths) {
+      path.isPareto = !paths.some(other =>
+        other !== path &&
+        other.transferCount <= path.transferCount &&
+        other.cost <= path.cost &&
+        (other.transferCount < path.transferCount || other.cost < path.cost)
+      );
+    }
+    return paths;
+  }
+
+  /**
+   * Get served stops within walking radius of a coordinate
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radius - Meters
+   * @param {number} limit - Max stops to return (nearest first)
+   * @returns {Array<Object>} - [{ stopId, distance }]
+   */
+  getAccessLinks(lat, lng, radius, limit) {
+    return this.stopMatcher.findNearbyStops(lat, lng, radius)
+      .filter(({ stop }) => this.routeIndex.getRoutes(stop.id).size > 0)
+      .slice(0, limit)
+      .map(({ stop, distance }) => ({ stopId: stop.id, distance: Math.round(distance) }));
+  }
+
+  /**
+   * Access links for a location: the served stops it is linked to (stopIds,
+   * at any distance) and the served stops within walking radius
+   * @param {Object} location - { lat, lng, stopIds? }
+   * @param {number} radius - Meters
+   * @param {number} limit - Max nearby stops to add (nearest first)
+   * @returns {Array<Object>} - [{ stopId, distance }] sorted by distance (m)
+   */
+  getLocationLinks(location, radius, limit) {
+    const links = (location.stopIds || [])
+      .map(stopId => this.stopMatcher.getStopById(stopId))
+      .filter(stop => stop && this.routeIndex.getRoutes(stop.id).size > 0)
+      .map(stop => ({
+        stopId: stop.id,
+        distance: Math.round(this.stopMatcher.getDistanceMeters(location.lat, location.lng, stop.lat, stop.lng))
+      }));
+
+    for (const link of this.getAccessLinks(location.lat, location.lng, radius, limit)) {
+      if (!links.some(other => other.stopId === link.stopId)) links.push(link);
+    }
+
+    return links.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Create a stop-shaped place object for an arbitrary coordinate
+   * @param {Object} location - { lat, lng, name?, name_mm? }
+   * @param {string} defaultName
+   * @returns {Object}
+   */
+  createLocationPlace(location, defaultName) {
+    return {
+      id: null,
+      name_en: location.name || defaultName,
+      name_mm: location.name_mm || '',
+      lat: location.lat,
+      lng: location.lng,
+      isLocation: true
+    };
+  }
+
+  /**
+   * Get stops within walking distance that are served by at least one route
+   * @param {string} stopId
+   * @param {number} maxWalkDistance - Meters
+   * @returns {Array<Object>} - [{ stopId, distance }] sorted by distance (m)
+   */
+  getWalkingLinks(stopId, maxWalkDistance) {
+    if (!maxWalkDistance || maxWalkDistance <= 0) return [];
+
+    const cacheKey = `${maxWalkDistance}:${stopId}`;
+    if (this.walkingLinkCache.has(cacheKey)) {
+      return this.walkingLinkCache.get(cacheKey);
+    }
+
+    const stop = this.stopMatcher.getStopById(stopId);
+    const links = [];
+
+    if (stop) {
+      for (const { stop: nearby, distance } of this.stopMatcher.findNearbyStops(stop.lat, stop.lng, maxWalkDistance)) {
+        if (nearby.id === stop.id) continue;
+        if (this.routeIndex.getRoutes(nearby.id).size === 0) continue;
+
+        links.push({ stopId: nearby.id, distance: Math.round(distance) });
+      }
+    }
+
+    this.walkingLinkCache.set(cacheKey, links);
+    return links;
   }
 
   /**
    * Get all stops reachable from current stop on current route
+   * Considers every pattern of the route (both directions, loops past the
+   * terminal) and every occurrence of the stop within it.
    * @param {string} fromStopId
    * @param {string} routeKey
    * @returns {Array<Object>} - Array of stop objects
    */
   getReachableStops(fromStopId, routeKey) {
-    const route = this.routeIndex.getRouteData(routeKey);
-    if (!route || !route.stops) return [];
-
-    // Find position of current stop in route
-    const fromIndex = route.stops.findIndex(id => String(id) === String(fromStopId));
-    if (fromIndex === -1) return [];
-
-    // Return all stops after current position (forward direction)
-    const reachable = [];
-    for (let i = fromIndex + 1; i < route.stops.length; i++) {
-      const stop = this.stopMatcher.getStopById(route.stops[i]);
-      if (stop) {
-        reachable.push(stop);
+    const reachable = new Set();
+
+    for (const patternKey of this.routeIndex.getRoutePatterns(routeKey)) {
+      const pattern = this.routeIndex.getPattern(patternKey);
+      for (const position of this.routeIndex.getPatternPositions(patternKey, fromStopId)) {
+        pattern.stops
+          .slice(position + 1, position + pattern.cycleLength)
+          .forEach(stopId => reachable.add(stopId));
       }
     }
 
-    return reachable;
+    reachable.delete(String(fromStopId));
+    return Array.from(reachable)
+      .map(id => this.stopMatcher.getStopById(id))
+      .filter(stop => stop);
   }
 
   /**
-   * Build complete path object from final state
-   * @param {Object} state - Final BFS state
-   * @param {Object} destinationStop - Destination stop object
-   * @param {Object} originStop - Origin stop object
-   * @param {Object} toStop - Destination stop object (for validation)
+   * Build complete path object from basic legs
+   * @param {Array<Object>} legs - Basic legs (bus and walk) in travel order
+   * @param {Object} destinationPlace - Destination stop or location
+   * @param {number} walkToDestination - Meters to walk from the last stop to destinationPlace
    * @returns {Object|null} - Complete path object
    */
-  buildCompletePath(state, destinationStop, originStop, toStop) {
-    // Create final leg
-    const finalLeg = {
-      route: state.currentRoute,
-      boardStop: state.legs.length === 0 ? originStop.id : state.legs[state.legs.length - 1].alightStop,
-      alightStop: destinationStop.id
-    };
+  buildCompletePath(legs, destinationPlace, walkToDestination = 0) {
+    const allLegs = [...legs];
 
-    const allLegs = [...state.legs, finalLeg];
+    // Walk the last few metres if the ride ended near (not at) the destination
+    if (walkToDestination > 0) {
+      const lastLeg = allLegs[allLegs.length - 1];
+      allLegs.push({ type: 'walk', boardStop: lastLeg.alightStop, alightStop: destinationPlace, distance: walkToDestination });
+    }
 
     // Build detailed leg objects
     const detailedLegs = allLegs.map(leg => this.buildDetailedLeg(leg));
+    if (detailedLegs.some(leg => !leg)) return null;
 
     // Calculate totals
+    const busLegCount = detailedLegs.filter(leg => leg.type === 'bus').length;
     const totalStops = detailedLegs.reduce((sum, leg) => sum + (leg.stopCount || 0), 0);
     const totalDistance = detailedLegs.reduce((sum, leg) => sum + (leg.distance || 0), 0);
+    const totalWalkDistance = detailedLegs.reduce((sum, leg) => sum + (leg.walkDistance || 0), 0);
 
     return {
       legs: detailedLegs,
-      transferCount: allLegs.length - 1,  // n legs = n-1 transfers
+      transferCount: busLegCount - 1,  // n buses = n-1 transfers
       totalStops,
       totalDistance: parseFloat(totalDistance.toFixed(2)),
-      score: 0  // Will be calculated during ranking
+      totalWalkDistance,
+      rankCost: 0  // Will be calculated during ranking
     };
   }
 
   /**
    * Build detailed leg object with all stop information
-   * @param {Object} leg - Basic leg with route, boardStop, alightStop
+   * @param {Object} leg - Basic leg with type, route, boardStop, alightStop
    * @returns {Object} - Detailed leg object
    */
   buildDetailedLeg(leg) {
+    if (leg.type === 'walk') {
+      return this.buildWalkLeg(leg);
+    }
+
     const route = this.routeIndex.getRouteData(leg.route);
     const boardStop = this.stopMatcher.getStopById(leg.boardStop);
     const alightStop = this.stopMatcher.getStopById(leg.alightStop);
@@ -249,42 +801,53 @@ class PathFinder {
       return null;
     }
 
-    // Find stop indices in route
-    const boardIdx = route.stops.findIndex(id => String(id) === String(leg.boardStop));
-    const alightIdx = route.stops.findIndex(id => String(id) === String(leg.alightStop));
+    // Stop positions in the pattern ridden: from the search, or the first alight after boarding
+    const patternKey = leg.pattern || leg.route;
+    const boardIdx = leg.boardIndex ?? this.routeIndex.getPatternPositions(patternKey, leg.boardStop)[0];
+    const alightIdx = leg.alightIndex ??
+      this.routeIndex.getPatternPositions(patternKey, leg.alightStop).find(position => position > boardIdx);
+
+    if (boardIdx === undefined || alightIdx === undefined) {
+      console.error('[PathFinder] Leg stops not in route order:', leg);
+      return null;
+    }
 
     // Extract stops between board and alight
     const stopCount = alightIdx - boardIdx;
-    const intermediateStops = route.stops
+    const intermediateStops = this.routeIndex.getPatternStops(patternKey)
       .slice(boardIdx, alightIdx + 1)
       .map(id => this.stopMatcher.getStopById(id))
       .filter(s => s);
 
-    // Calculate distance (estimate from stop count and coordinates)
-    const distance = this.calculateDistance(boardStop, alightStop, stopCount);
+    // Which way the bus is heading (e.g. "towards Sule")
+    const direction = this.routeIndex.getDirection(patternKey, boardIdx);
+    const towardsStop = direction.towardsStopId && this.stopMatcher.getStopById(direction.towardsStopId);
+    const pattern = this.routeIndex.getPattern(patternKey);
+
+    // Distance along the route shape (estimated when the shape is unusable)
+    const distance = this.calculateDistance(boardStop, alightStop, stopCount, {
+      patternKey,
+      boardIndex: boardIdx,
+      alightIndex: alightIdx
+    });
 
     return {
+      type: 'bus',
       route: leg.route,
+      routeId: route.route_id,
+      agencyId: route.agency_id || null,
+      routeFamily: this.routeIndex.getRouteFamily(leg.route),
+      routeLabel: this.routeIndex.getRouteLabel(leg.route, this.stopMatcher),  // "Route 37 (to Lan Thone Sae)"
       routeName: route.name || `Route ${leg.route}`,
       routeColor: route.color ? `#${route.color}` : '#667eea',
-      boardStop: {
-        id: boardStop.id,
-        name_en: boardStop.name_en,
-        name_mm: boardStop.name_mm,
-        lat: boardStop.lat,
-        lng: boardStop.lng,
-        township: boardStop.township_en,
-        road: boardStop.road_en
-      },
-      alightStop: {
-        id: alightStop.id,
-        name_en: alightStop.name_en,
-        name_mm: alightStop.name_mm,
-        lat: alightStop.lat,
-        lng: alightStop.lng,
-        township: alightStop.township_en,
-        road: alightStop.road_en
-      },
+      boardStop: this.formatLegStop(boardStop),
+      alightStop: this.formatLegStop(alightStop),
+      pattern: patternKey,
+      boardIndex: boardIdx,
+      alightIndex: alightIdx,
+      direction: direction.direction,
+      inferred: Boolean(pattern && pattern.inferred),  // A reverse run not in the route data
+      headsign: towardsStop ? towardsStop.name_en : null,
       stopCount,
       stops: intermediateStops,
       distance: parseFloat(distance.toFixed(2))
@@ -292,13 +855,79 @@ class PathFinder {
   }
 
   /**
-   * Calculate distance between two stops (Haversine formula)
+   * Build detailed walk leg (between nearby stops, or to/from a location)
+   * @param {Object} leg - Basic leg with boardStop, alightStop, distance (m)
+   * @returns {Object|null} - Detailed walk leg object
+   */
+  buildWalkLeg(leg) {
+    const fromStop = this.resolvePlace(leg.boardStop);
+    const toStop = this.resolvePlace(leg.alightStop);
+
+    if (!fromStop || !toStop) {
+      console.error('[PathFinder] Missing data for walk leg:', leg);
+      return null;
+    }
+
+    const walkDistance = Math.round(leg.distance);
+
+    return {
+      type: 'walk',
+      route: null,
+      routeName: 'Walk',
+      routeColor: '#999999',
+      boardStop: this.formatLegStop(fromStop),
+      alightStop: this.formatLegStop(toStop),
+      stopCount: 0,
+      stops: [fromStop, toStop],
+      distance: parseFloat((walkDistance / 1000).toFixed(2)),
+      walkDistance
+    };
+  }
+
+  /**
+   * Resolve a leg endpoint: a stop ID, or an already-resolved place object
+   * @param {string|Object} ref
+   * @returns {Object|null}
+   */
+  resolvePlace(ref) {
+    if (ref && typeof ref === 'object') return ref;
+    return this.stopMatcher.getStopById(ref);
+  }
+
+  /**
+   * Pick the stop fields carried on a leg
+   * @param {Object} stop - Stop object from stopMatcher
+   * @returns {Object}
+   */
+  formatLegStop(stop) {
+    return {
+      id: stop.id,
+      name_en: stop.name_en,
+      name_mm: stop.name_mm,
+      lat: stop.lat,
+      lng: stop.lng,
+      township: stop.township_en,
+      road: stop.road_en,
+      amenities: stop.id ? this.stopMatcher.getAmenities(stop.id) : null
+    };
+  }
+
+  /**
+   * Calculate distance between two stops
+   * Uses the distance along the route shape when the leg's position in the
+   * route pattern is given and geometry is available, otherwise Haversine × 1.2.
    * @param {Object} stop1
    * @param {Object} stop2
    * @param {number} stopCount - Number of stops (for estimation)
+   * @param {Object} [along] - { patternKey, boardIndex, alightIndex }
    * @returns {number} - Distance in km
    */
-  calculateDistance(stop1, stop2, stopCount = 1) {
+  calculateDistance(stop1, stop2, stopCount = 1, along = null) {
+    if (along && this.geometry && this.geometry.isInitialized) {
+      const meters = this.geometry.getAlongDistance(along.patternKey, along.boardIndex, along.alightIndex);
+      if (meters !== null) return meters / 1000;
+    }
+
     const R = 6371; // Earth's radius in km
     const dLat = (stop2.lat - stop1.lat) * Math.PI / 180;
     const dLon = (stop2.lng - stop1.lng) * Math.PI / 180;
@@ -317,41 +946,33 @@ class PathFinder {
   }
 
   /**
-   * Rank paths by multiple criteria
+   * Rank paths by their cost under a ranking profile
    * @param {Array<Object>} paths
    * @param {number} limit
-   * @returns {Array<Object>}
+   * @param {string|Object} rankBy - Profile name or custom weights (see findAllPaths)
+   * @returns {Array<Object>} - Top paths, each with rankCost set (lower is better)
    */
-  rankPaths(paths, limit) {
+  rankPaths(paths, limit, rankBy = 'score') {
     if (paths.length === 0) return [];
 
-    // Calculate scoring criteria ranges
-    const maxTransfers = Math.max(...paths.map(p => p.transferCount), 1);
-    const maxStops = Math.max(...paths.map(p => p.totalStops), 1);
-    const maxDist = Math.max(...paths.map(p => p.totalDistance), 1);
+    const weights = this.getRankingWeights(rankBy);
 
-    // Score each path
     const scored = paths.map(path => {
-      // Individual scores (0 = worst, 1 = best)
-      const transferScore = 1 - (path.transferCount / maxTransfers);
-      const stopScore = 1 - (path.totalStops / maxStops);
-      const distScore = 1 - (path.totalDistance / maxDist);
-
-      // Weighted total score
-      // Weights: transfers (50%), stops (30%), distance (20%)
-      const score = (transferScore * 0.5) + (stopScore * 0.3) + (distScore * 0.2);
+      const features = this.getRankingFeatures(path);
+      const rankCost = Object.entries(weights)
+        .reduce((sum, [feature, weight]) => sum + weight * (features[feature] || 0), 0);
 
       return {
         ...path,
-        score: parseFloat(score.toFixed(3))
+        rankCost: parseFloat(rankCost.toFixed(3))
       };
     });
 
-    // Sort by score (descending) and return top N
+    // Sort by cost (ascending) and return top N
     return scored
       .sort((a, b) => {
-        // Primary: score
-        if (b.score !== a.score) return b.score - a.score;
+        // Primary: cost
+        if (a.rankCost !== b.rankCost) return a.rankCost - b.rankCost;
         // Secondary: fewer transfers
         if (a.transferCount !== b.transferCount) return a.transferCount - b.transferCount;
         // Tertiary: fewer stops
@@ -360,6 +981,143 @@ class PathFinder {
       .slice(0, limit);
   }
 
+  /**
+   * Fold near-identical paths into the best-ranked of them: the same number
+   * of buses, each riding along the same stops as the other path's (at least
+   * corridorOverlap of the two rides' stops shared, whatever the route), e.g.
+   * the same routes with the transfer one stop along, or 15-BoHmuBaHtoo vs
+   * 15-ShwePaukKan between the same stops; the same route boarded somewhere
+   * else is another option
+   * @param {Array<Object>} paths - Ranked paths
+   * @param {number} corridorOverlap - 0-1
+   * @returns {Array<Object>} - The best path of each group, in rank order, with
+   *   similarPaths (the others, in rank order; empty if none)
+   */
+  diversifyPaths(paths, corridorOverlap) {
+    const groups = [];   // [{ path, rides, similarPaths }]
+
+    for (const path of paths) {
+      const rides = path.legs
+        .filter(leg => leg.type === 'bus')
+        .map(leg => this.getRideStops(leg));
+
+      const group = groups.find(other => other.rides.length === rides.length &&
+        other.rides.every((stops, i) => this.getOverlap(stops, rides[i]) >= corridorOverlap));
+
+      if (group) {
+        group.similarPaths.push(path);
+      } else {
+        groups.push({ path, rides, similarPaths: [] });
+      }
+    }
+
+    if (groups.length < paths.length) {
+      console.log(`[PathFinder] Folded ${paths.length - groups.length} near-identical paths into ${groups.length}`);
+    }
+
+    return groups.map(({ path, similarPaths }) => ({ ...path, similarPaths }));
+  }
+
+  /**
+   * Stop IDs a bus leg passes, boarding and alighting stops included
+   * @param {Object} leg - Detailed bus leg
+   * @returns {Set<string>}
+   */
+  getRideStops(leg) {
+    const stops = new Set([String(leg.boardStop.id), String(leg.alightStop.id)]);
+    for (const stop of leg.stops || []) stops.add(String(stop.id));
+    return stops;
+  }
+
+  /**
+   * Share of the stops in either set that are in both (a short ride inside
+   * a long one overlaps little)
+   * @param {Set<string>} a
+   * @param {Set<string>} b
+   * @returns {number} - 0-1
+   */
+  getOverlap(a, b) {
+    const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+    if (small.size === 0) return 0;
+
+    let shared = 0;
+    for (const stopId of small) {
+      if (large.has(stopId)) shared++;
+    }
+    return shared / (small.size + large.size - shared);
+  }
+
+  /**
+   * Weights for a ranking profile name or custom weights
+   * @param {string|Object} rankBy
+   * @returns {Object} - feature → cost per unit
+   */
+  getRankingWeights(rankBy) {
+    if (rankBy && typeof rankBy === 'object') return rankBy;
+
+    const profile = this.rankingProfiles[rankBy];
+    if (!profile) {
+      console.warn(`[PathFinder] Unknown ranking profile "${rankBy}", using balanced`);
+      return this.rankingProfiles.score.weights;
+    }
+    return profile.weights;
+  }
+
+  /**
+   * Add (or replace) a named ranking profile, e.g. for a rider's own preferences
+   * The pathfinding worker only knows the built-in profiles: pass custom
+   * weights as rankBy to search there.
+   * @param {string} name
+   * @param {Object} weights - feature → cost per unit (see getRankingFeatures)
+   * @param {string} [label]
+   */
+  setRankingProfile(name, weights, label = name) {
+    this.rankingProfiles[name] = { label, weights };
+  }
+
+  /**
+   * Ranking profiles for a selector
+   * @returns {Array<Object>} - [{ name, label }]
+   */
+  getRankingProfiles() {
+    return Object.entries(this.rankingProfiles).map(([name, { label }]) => ({ name, label }));
+  }
+
+  /**
+   * Path features that ranking weights apply to, in absolute units:
+   * - transfers, stops, boardings (bus legs)
+   * - fare: Ks (without a fare model: 200 per boarding, the usual YBS fare)
+   * - distance (km by bus), walk (per 100 m)
+   * - minutes: estimated duration (without a time model: 2 min per stop,
+   *   5 per transfer and walking at 80 m/min)
+   * - hubRoutes: routes serving each transfer stop, summed (busy hubs are
+   *   crowded and confusing to change buses at)
+   * @param {Object} path
+   * @returns {Object}
+   */
+  getRankingFeatures(path) {
+    const busLegs = path.legs.filter(leg => leg.type === 'bus');
+    const walkMeters = path.totalWalkDistance || 0;
+
+    const minutes = Number.isFinite(path.durationMinutes)
+      ? path.durationMinutes
+      : path.totalStops * 2 + path.transferCount * 5 + walkMeters / 80;
+
+    const hubRoutes = busLegs.slice(1)
+      .reduce((sum, leg) => sum + this.routeIndex.getRoutes(leg.boardStop.id).size, 0);
+
+    return {
+      transfers: path.transferCount,
+      stops: path.totalStops,
+      boardings: busLegs.length,
+      fare: Number.isFinite(path.fare) ? path.fare : busLegs.length * 200,
+      distance: path.totalDistance,
+      walk: walkMeters / 100,
+      minutes,
+      hubRoutes
+    };
+  }
+
   /**
    * Format path for display (human-readable summary)
    * @param {Object} path
@@ -368,12 +1126,15 @@ class PathFinder {
   formatPath(path) {
     if (!path || !path.legs) return 'Invalid path';
 
-    const routeNames = path.legs.map(leg => `Route ${leg.route}`).join(' → ');
+    const routeNames = path.legs
+      .map(leg => leg.type === 'walk' ? `Walk ${leg.walkDistance}m` : leg.routeLabel || `Route ${leg.route}`)
+      .join(' → ');
     const summary = path.transferCount === 0
       ? `Direct: ${routeNames}`
       : `${routeNames} (${path.transferCount} transfer${path.transferCount > 1 ? 's' : ''})`;
 
-    return `${summary} | ${path.totalStops} stops | ${path.totalDistance}km`;
+    const duration = Number.isFinite(path.durationMinutes) ? ` | ~${path.durationMinutes} min` : '';
+    return `${summary} | ${path.totalStops} stops | ${path.totalDistance}km${duration}`;
   }
 }
 
@@ -0,0 +1,224 @@
+/**
+ * PathFinderClient - Promise-based pathfinding in a Web Worker
+ *
+ * Problem: findAllPaths runs on the main thread, so the map and inputs
+ * freeze during long searches.
+ * Solution: StopMatcher, RouteIndex and PathFinder run in a worker
+ * (pathfinderWorker.js) initialized with the page's prebuilt indexes.
+ * - A new query cancels the previous one (its promise rejects with an
+ *   AbortError)
+ * - Progress events (0-1) and partial results (ranked paths found so far,
+ *   e.g. the direct routes after the first round) are streamed while the
+ *   search runs
+ * - The last finished search's journeys can be ranked again (another
+ *   profile or payment method) without searching: rerankPaths()
+ * - Without worker support (or if the worker fails to start) searches run
+ *   on the main thread with the page's PathFinder, in steps, with the same
+ *   cancellation, progress and partial results
+ *
+ * Usage:
+ * const client = new PathFinderClient(pathfinder);
+ * client.init({ stopsData, stopMatcherCache: stopMatcher.exportForCache(),
+ *   routeIndexCache: routeIndex.exportForCache(), schedules, landmarks, amenities, fares });
+ * const paths = await client.findPaths({ fromStopId, toStopId }, { maxTransfers: 2 }, {
+ *   onProgress: (progress) => ...,
+ *   onPartial: (paths) => ...
+ * });
+ * const byTime = await client.rerankPaths({ rankBy: 'time' });
+ */
+
+class PathFinderClient {
+  /**
+   * @param {PathFinder} fallback - PathFinder on the page, used when the worker is unavailable
+   * @param {Object} [options]
+   * @param {string} [options.workerUrl]
+   */
+  constructor(fallback, options = {}) {
+    this.fallback = fallback;
+    this.workerUrl = options.workerUrl || 'js/pathfinderWorker.js';
+    this.worker = null;
+    this.ready = Promise.resolve(false);   // Resolves to true once the worker is initialized
+    this.requests = new Map();             // id → { resolve, reject, onProgress, onPartial }
+    this.nextId = 1;
+    this.currentId = null;                 // id of the running search
+  }
+
+  /**
+   * Start the worker with the page's data
+   * @param {Object} data - { stopsData, stopMatcherCache, routeIndexCache, schedules, landmarks, amenities, fares }
+   * @returns {Promise<boolean>} - true when searches run in the worker
+   */
+  init(data) {
+    this.ready = this.startWorker(data);
+    return this.ready;
+  }
+
+  /**
+   * Create the worker and wait for it to load the data
+   * @param {Object} data - See init()
+   * @returns {Promise<boolean>}
+   */
+  async startWorker(data) {
+    if (typeof Worker === 'undefined') {
+      console.log('[PathFinderClient] Web Workers not supported, searching on the main thread');
+      return false;
+    }
+
+    try {
+      this.worker = new Worker(this.workerUrl);
+      this.worker.addEventListener('message', (event) => this.handleMessage(event.data));
+      this.worker.addEventListener('error', (event) => this.handleWorkerError(event));
+
+      await new Promise((resolve, reject) => {
+        const id = this.nextId++;
+        this.requests.set(id, { resolve, reject });
+        this.worker.postMessage({ type: 'init', id, data });
+      });
+
+      console.log('[PathFinderClient] Pathfinding worker ready');
+      return true;
+    } catch (error) {
+      console.warn('[PathFinderClient] Worker failed to start, searching on the main thread:', error.message);
+      this.stopWorker();
+      return false;
+    }
+  }
+
+  /**
+   * Find paths, cancelling any search still running
+   * @param {Object} query - { fromStopId, toStopId } or { origin, destination } ({ lat, lng, name? })
+   * @param {Object} [options] - PathFinder search options
+   * @param {Object} [callbacks] - { onProgress(fraction), onPartial(paths) }
+   * @returns {Promise<Array<Object>>} - Ranked paths; rejects with an AbortError when superseded
+   */
+  findPaths(query, options = {}, callbacks = {}) {
+    this.cancel();
+
+    const id = this.nextId++;
+    this.currentId = id;
+
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject, ...callbacks });
+
+      this.ready.then(() => {
+        if (!this.requests.has(id)) return;  // Cancelled while the worker was starting
+
+        if (this.worker) {
+          this.worker.postMessage({ type: 'find', id, query, options });
+          return;
+        }
+
+        this.fallback.findPathsInSteps(query, options, {
+          isCancelled: () => this.currentId !== id,
+          onProgress: (progress) => this.handleMessage({ type: 'progress', id, progress }),
+          onPartial: (paths) => this.handleMessage({ type: 'partial', id, paths })
+        }).then(
+          (paths) => { if (paths !== null) this.handleMessage({ type: 'result', id, paths }); },
+          (error) => this.handleMessage({ type: 'error', id, message: error.message })
+        );
+      });
+    });
+  }
+
+  /**
+   * Rank the last finished search's journeys again, where it ran
+   * (see PathFinder.rerankLastSearch); does not cancel a running search
+   * @param {Object} [options] - maxPaths, rankBy, payment, diversify, corridorOverlap
+   * @returns {Promise<Array<Object>>} - Ranked paths
+   */
+  async rerankPaths(options = {}) {
+    await this.ready;
+    if (!this.worker) return this.fallback.rerankLastSearch(options);
+
+    return new Promise((resolve, reject) => {
+      const id = this.nextId++;
+      this.requests.set(id, { resolve, reject });
+      this.worker.postMessage({ type: 'rerank', id, options });
+    });
+  }
+
+  /**
+   * Cancel the running search (its promise rejects with an AbortError)
+   */
+  cancel() {
+    const id = this.currentId;
+    if (id === null) return;
+
+    this.currentId = null;
+    if (this.worker) this.worker.postMessage({ type: 'cancel', id });
+
+    const request = this.requests.get(id);
+    if (request) {
+      this.requests.delete(id);
+      const error = new Error('Search cancelled');
+      error.name = 'AbortError';
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Dispatch a worker message to its request
+   * @param {Object} message
+   */
+  handleMessage(message) {
+    const request = this.requests.get(message.id);
+    if (!request) return;  // Cancelled
+
+    switch (message.type) {
+      case 'progress':
+        if (request.onProgress) request.onProgress(message.progress);
+        break;
+
+      case 'partial':
+        if (request.onPartial) request.onPartial(message.paths);
+        break;
+
+      case 'ready':
+      case 'result':
+        this.finish(message.id);
+        request.resolve(message.paths);
+        break;
+
+      case 'error':
+        this.finish(message.id);
+        request.reject(new Error(message.message));
+        break;
+    }
+  }
+
+  /**
+   * The worker crashed or failed to load: fail what is pending, search on the main thread from now on
+   * @param {ErrorEvent} event
+   */
+  handleWorkerError(event) {
+    console.error('[PathFinderClient] Worker error:', event.message);
+    this.stopWorker();
+
+    for (const [id, request] of this.requests) {
+      this.finish(id);
+      request.reject(new Error(event.message || 'Pathfinding worker failed'));
+    }
+  }
+
+  /**
+   * Forget a settled request
+   * @param {number} id
+   */
+  finish(id) {
+    this.requests.delete(id);
+    if (this.currentId === id) this.currentId = null;
+  }
+
+  /**
+   * Terminate the worker (later searches run on the main thread)
+   */
+  stopWorker() {
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PathFinderClient;
+}
@@ -0,0 +1,93 @@
+/**
+ * Pathfinding worker - Runs StopMatcher, RouteIndex and PathFinder off the main thread
+ *
+ * Started by PathFinderClient (see pathfinderClient.js), which owns the
+ * protocol. Messages in:
+ * - { type: 'init', id, data: { stopsData, stopMatcherCache, routeIndexCache, schedules, landmarks, amenities,
+ *   fares } }
+ *   caches from exportForCache() on the page, so nothing is re-indexed
+ * - { type: 'find', id, query, options }  (query: { fromStopId, toStopId } or { origin, destination })
+ * - { type: 'rerank', id, options }  (the last finished search's journeys, ranked again)
+ * - { type: 'cancel', id }
+ *
+ * Messages out: { type: 'ready' | 'progress' | 'partial' | 'result' | 'error', id, ... }
+ *
+ * Only one search runs at a time: a new 'find' cancels the running one at
+ * its next step.
+ */
+
+importScripts('myanmarText.js', 'stopMatcher.js', 'routeIndex.js', 'geometry.js', 'travelTime.js', 'fares.js', 'serviceSchedule.js', 'pathfinder.js');
+
+let pathfinder = null;
+let currentSearch = null;   // id of the running search
+
+self.addEventListener('message', async (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'init':
+        initialize(message.data);
+        self.postMessage({ type: 'ready', id: message.id });
+        break;
+
+      case 'find':
+        await find(message);
+        break;
+
+      case 'rerank':
+        if (!pathfinder) throw new Error('Pathfinding worker is not initialized');
+        self.postMessage({ type: 'result', id: message.id, paths: pathfinder.rerankLastSearch(message.options) });
+        break;
+
+      case 'cancel':
+        if (currentSearch === message.id) currentSearch = null;
+        break;
+    }
+  } catch (error) {
+    console.error('[PathfinderWorker] Error:', error);
+    self.postMessage({ type: 'error', id: message.id, message: error.message });
+  }
+});
+
+/**
+ * Set up the modules from the page's data and prebuilt indexes
+ * @param {Object} data
+ */
+function initialize(data) {
+  if (!stopMatcher.importFromCache(data.stopsData, data.stopMatcherCache)) {
+    stopMatcher.initialize(data.stopsData);
+  }
+  stopMatcher.setLandmarks(data.landmarks || []);  // Named as nearby landmarks of their stops
+  stopMatcher.setAmenities(data.amenities || []);
+  if (!routeIndex.importFromCache(data.routeIndexCache)) {
+    throw new Error('Route index data is incomplete');
+  }
+
+  routeGeometry.initialize(routeIndex, stopMatcher);
+  serviceSchedule.initialize(data.schedules || [], routeIndex.routeData);
+
+  pathfinder = new PathFinder(routeIndex, stopMatcher, {
+    timeModel: new TravelTimeModel(),
+    fareModel: new FareModel(data.fares || {})  // data/fares.json
+  });
+}
+
+/**
+ * Run a search, streaming progress and partial results
+ * @param {Object} message - 'find' message
+ */
+async function find({ id, query, options }) {
+  if (!pathfinder) throw new Error('Pathfinding worker is not initialized');
+
+  currentSearch = id;
+  const paths = await pathfinder.findPathsInSteps(query, options, {
+    isCancelled: () => currentSearch !== id,
+    onProgress: (progress) => self.postMessage({ type: 'progress', id, progress }),
+    onPartial: (partialPaths) => self.postMessage({ type: 'partial', id, paths: partialPaths })
+  });
+
+  if (paths === null) return;  // Cancelled: the client has already moved on
+  if (currentSearch === id) currentSearch = null;
+  self.postMessage({ type: 'result', id, paths });
+}
@@ -7,32 +7,71 @@
  * - Finding all routes that serve a given stop
  * - Identifying transfer hubs (stops with multiple routes)
  * - Fast pathfinding queries
+ * - Route-stop position tables for the round-based router (RAPTOR)
  *
  * Data structure: Map<stopId, Set<routeKey>>
  * Example: stopId "367" (Hledan) → Set(["1", "53", "92-Thudhamma"])
+ *
+ * Route keys come from the file name, so the branches of one route number
+ * stay apart ("route37-Hlegu.json" → "37-Hlegu"); a route number with
+ * several files is a family of variants ("37": 37-Hlegu, 37-Hmawbi, ...),
+ * labelled by terminus: "Route 37 (to Lan Thone Sae)".
+ *
+ * Position tables: Map<routeKey, Map<stopId, number[]>>
+ * Example: route "1" → Map({ "367" → [12] }) (a stop may appear more than once)
+ *
+ * Patterns: the stop sequences a bus actually runs, used by the router
+ * - Loop: the route ends back at (or near) its first stop, so the bus keeps
+ *   going round; the sequence is unrolled twice so rides can cross the
+ *   terminal (e.g. from a stop on the way back to one on the way out)
+ * - Linear: the route ends elsewhere; an inbound pattern running the stops
+ *   in reverse is added so the return journey can be planned (inferred: at
+ *   each stop the bus is assumed to use the station's platform across the
+ *   road, when stopMatcher groups one with it)
+ * Positions within a pattern before its turnaround stop are "outbound",
+ * after it "inbound".
  */
 
 class RouteIndex {
   constructor() {
     this.stopToRoutes = new Map();       // stopId → Set<routeKey>
     this.routeData = new Map();          // routeKey → full route object
+    this.routeStops = new Map();         // routeKey → stopId[] (string IDs, in order)
+    this.stopPositions = new Map();      // routeKey → Map<stopId, position[]>
+    this.patterns = new Map();           // patternKey → pattern (see buildPatterns)
+    this.routePatterns = new Map();      // routeKey → patternKey[]
     this.transferHubs = new Set();       // stopIds with 3+ routes
+    this.families = new Map();           // route number → routeKey[] (its variants)
+    this.routeKeys = new WeakMap();      // route object → routeKey assigned by initialize()
+    this.loopThresholdMeters = 1000;     // Last stop this close to the first → loop
+    this.keyVersion = 2;                 // Bump when route keys change (rejects older caches)
     this.isInitialized = false;
   }
 
   /**
    * Build the inverted index from routes data
    * @param {Array} routesArray - Array of route objects with stops[]
+   * @param {Object} [stopsData] - stopId → { lat, lng }; used to detect loops
+   *   and turnarounds by distance (without it only identical end stops count)
+   * @param {StopMatcher} [matcher] - Initialized stop matcher whose stations give the
+   *   platforms of inferred inbound runs (defaults to the global one, if loaded)
    * @returns {Promise<void>}
    */
-  async initialize(routesArray) {
+  async initialize(routesArray, stopsData = null, matcher = null) {
     console.log('[RouteIndex] Building inverted index...');
     const startTime = performance.now();
+    const stations = matcher || (typeof stopMatcher !== 'undefined' ? stopMatcher : null);
 
     // Clear existing data
     this.stopToRoutes.clear();
     this.routeData.clear();
+    this.routeStops.clear();
+    this.stopPositions.clear();
+    this.patterns.clear();
+    this.routePatterns.clear();
     this.transferHubs.clear();
+    this.families.clear();
+    this.routeKeys = new WeakMap();
 
     let processedRoutes = 0;
     let totalStopEntries = 0;
@@ -44,16 +83,32 @@ class RouteIndex {
         continue;
       }
 
-      // Generate route key (used for lookups)
-      const routeKey = this.getRouteKey(route);
+      // Generate route key (used for lookups); never overwrite another route
+      let routeKey = this.getBaseRouteKey(route);
+      if (this.routeData.has(routeKey)) {
+        let n = 2;
+        while (this.routeData.has(`${routeKey}~${n}`)) n++;
+        console.warn(`[RouteIndex] Route key ${routeKey} is taken (${route.file || route.route_id}), using ${routeKey}~${n}`);
+        routeKey = `${routeKey}~${n}`;
+      }
+      this.routeKeys.set(route, routeKey);
 
       // Store full route data
       this.routeData.set(routeKey, route);
+      this.addToFamily(routeKey, route);
+
+      // Build position table (stop sequence + stop → positions)
+      this.buildPositionTable(routeKey, route.stops);
 
-      // Index each stop in this route
-      for (const stopId of route.stops) {
-        const stopIdStr = String(stopId);  // Ensure string type
+      // Build the patterns the router scans (loops unrolled, reverse direction)
+      this.buildPatterns(routeKey, stopsData, stations);
 
+      // Index each stop in this route (with the platforms its inferred runs use)
+      const servedStops = new Set(this.getRouteStops(routeKey));
+      for (const patternKey of this.getRoutePatterns(routeKey)) {
+        this.getPatternStops(patternKey).forEach(stopId => servedStops.add(stopId));
+      }
+      for (const stopIdStr of servedStops) {
         // Initialize Set for this stop if not exists
         if (!this.stopToRoutes.has(stopIdStr)) {
           this.stopToRoutes.set(stopIdStr, new Set());
@@ -82,25 +137,395 @@ class RouteIndex {
     console.log(`[RouteIndex] Indexed ${this.stopToRoutes.size} unique stops`);
     console.log(`[RouteIndex] Total stop-route entries: ${totalStopEntries}`);
     console.log(`[RouteIndex] Transfer hubs identified: ${this.transferHubs.size}`);
+    console.log(`[RouteIndex] Route patterns: ${this.patterns.size} (${this.getLoopCount()} loops)`);
   }
 
   /**
-   * Generate a unique route key for indexing
+   * Build the stop sequence and stop → positions table for a route
+   * @param {string} routeKey
+   * @param {Array<string|number>} stops
+   */
+  buildPositionTable(routeKey, stops) {
+    const sequence = stops.map(String);
+    const positions = new Map();
+
+    sequence.forEach((stopId, position) => {
+      if (!positions.has(stopId)) {
+        positions.set(stopId, []);
+      }
+      positions.get(stopId).push(position);
+    });
+
+    this.routeStops.set(routeKey, sequence);
+    this.stopPositions.set(routeKey, positions);
+  }
+
+  /**
+   * Build the patterns of a route
+   *
+   * Pattern object:
+   * {
+   *   key: "1",               // routeKey, or "<routeKey>|inbound" for reverse runs
+   *   routeKey: "1",
+   *   type: "loop",           // "loop" | "linear"
+   *   direction: "outbound",  // Direction of the pattern's first stop
+   *   stops: [...],           // String IDs (loops: the cycle twice)
+   *   positions: Map,         // stopId → positions within stops
+   *   cycleLength: 42,        // Stops in one run; rides never exceed this
+   *   turnIndex: 20,          // Position of the turnaround within one run
+   *   inferred: false         // true for reverse runs not in the data
+   * }
+   * @param {string} routeKey
+   * @param {Object|null} stopsData
+   * @param {StopMatcher|null} [stations] - For the platforms of inferred runs (see getOppositePlatform)
+   */
+  buildPatterns(routeKey, stopsData, stations = null) {
+    const sequence = this.getRouteStops(routeKey);
+    const keys = [];
+
+    if (sequence.length >= 2 && this.isLoopSequence(sequence, stopsData)) {
+      // Identical end stops are one stop: drop the duplicate when unrolling
+      const cycle = sequence[0] === sequence[sequence.length - 1] ? sequence.slice(0, -1) : sequence;
+      const stops = cycle.concat(cycle, [cycle[0]]);
+      keys.push(this.addPattern(routeKey, routeKey, 'loop', 'outbound', stops, cycle.length,
+        this.findTurnIndex(cycle, stopsData), false));
+    } else {
+      keys.push(this.addPattern(routeKey, routeKey, 'linear', 'outbound', sequence, sequence.length,
+        sequence.length - 1, false));
+
+      if (sequence.length >= 2) {
+        const reversed = sequence.slice().reverse()
+          .map(stopId => this.getOppositePlatform(stopId, sequence, stopsData, stations));
+        keys.push(this.addPattern(`${routeKey}|inbound`, routeKey, 'linear', 'inbound', reversed,
+          reversed.length, reversed.length - 1, true));
+      }
+    }
+
+    this.routePatterns.set(routeKey, keys);
+  }
+
+  /**
+   * Platform a bus running a route in reverse most likely stops at: the
+   * nearest other platform of the stop's station (across the road), or the
+   * stop itself when the station has none or the route already stops at
+   * several of its platforms (it serves both directions there)
+   * @param {string} stopId
+   * @param {Array<string>} sequence - The route's stops
+   * @param {Object|null} stopsData
+   * @param {StopMatcher|null} stations
+   * @returns {string}
+   */
+  getOppositePlatform(stopId, sequence, stopsData, stations) {
+    const station = stations ? stations.getStation(stopId) : null;
+    const stop = stopsData && stopsData[stopId];
+    if (!station || !stop) return stopId;
+    if (station.stopIds.filter(platformId => sequence.includes(platformId)).length > 1) return stopId;
+
+    let nearest = stopId;
+    let minDistance = Infinity;
+    for (const platformId of station.stopIds) {
+      const platform = stopsData[platformId];
+      if (platformId === stopId || !platform) continue;
+
+      const distance = this.getDistanceMeters(stop, platform);
+      if (distance < minDistance) {
+        minDistance = distance;
+        nearest = platformId;
+      }
+    }
+    return nearest;
+  }
+
+  /**
+   * Store a pattern with its position table
+   * @param {string} key - Pattern key
+   * @param {string} routeKey
+   * @param {string} type - 'loop' | 'linear'
+   * @param {string} direction - 'outbound' | 'inbound'
+   * @param {Array<string>} stops
+   * @param {number} cycleLength
+   * @param {number} turnIndex
+   * @param {boolean} inferred
+   * @returns {string} - Pattern key
+   */
+  addPattern(key, routeKey, type, direction, stops, cycleLength, turnIndex, inferred) {
+    const positions = new Map();
+    stops.forEach((stopId, position) => {
+      if (!positions.has(stopId)) positions.set(stopId, []);
+      positions.get(stopId).push(position);
+    });
+
+    this.patterns.set(key, { key, routeKey, type, direction, stops, positions, cycleLength, turnIndex, inferred });
+    return key;
+  }
+
+  /**
+   * Check if a stop sequence ends back at (or near) its first stop
+   * @param {Array<string>} sequence
+   * @param {Object|null} stopsData
+   * @returns {boolean}
+   */
+  isLoopSequence(sequence, stopsData) {
+    const first = sequence[0];
+    const last = sequence[sequence.length - 1];
+    if (first === last) return true;
+    if (!stopsData || !stopsData[first] || !stopsData[last]) return false;
+
+    return this.getDistanceMeters(stopsData[first], stopsData[last]) < this.loopThresholdMeters;
+  }
+
+  /**
+   * Position of the turnaround in a loop: the stop farthest from the start
+   * (the middle of the cycle when coordinates are not available)
+   * @param {Array<string>} cycle
+   * @param {Object|null} stopsData
+   * @returns {number}
+   */
+  findTurnIndex(cycle, stopsData) {
+    const start = stopsData && stopsData[cycle[0]];
+    if (!start) return Math.floor(cycle.length / 2);
+
+    let turnIndex = 0;
+    let maxDistance = -1;
+    cycle.forEach((stopId, position) => {
+      const stop = stopsData[stopId];
+      if (!stop) return;
+      const distance = this.getDistanceMeters(start, stop);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        turnIndex = position;
+      }
+    });
+
+    return turnIndex;
+  }
+
+  /**
+   * Get a pattern by key
+   * @param {string} patternKey
+   * @returns {Object|null}
+   */
+  getPattern(patternKey) {
+    return this.patterns.get(patternKey) || null;
+  }
+
+  /**
+   * Get the pattern keys of a route
+   * @param {string} routeKey
+   * @returns {Array<string>}
+   */
+  getRoutePatterns(routeKey) {
+    return this.routePatterns.get(routeKey) || [];
+  }
+
+  /**
+   * Get the stop sequence of a pattern (or of a route, for plain route keys)
+   * @param {string} patternKey
+   * @returns {Array<string>}
+   */
+  getPatternStops(patternKey) {
+    const pattern = this.getPattern(patternKey);
+    return pattern ? pattern.stops : this.getRouteStops(patternKey);
+  }
+
+  /**
+   * Get every position of a stop within a pattern
+   * @param {string} patternKey
+   * @param {string|number} stopId
+   * @returns {Array<number>} - Ascending positions (empty if not served)
+   */
+  getPatternPositions(patternKey, stopId) {
+    const pattern = this.getPattern(patternKey);
+    if (!pattern) return this.getStopPositions(patternKey, stopId);
+    return pattern.positions.get(String(stopId)) || [];
+  }
+
+  /**
+   * Direction and headsign of a ride boarded at a pattern position
+   * @param {string} patternKey
+   * @param {number} position
+   * @returns {Object} - { direction: 'outbound'|'inbound', towardsStopId }
+   */
+  getDirection(patternKey, position) {
+    const pattern = this.getPattern(patternKey);
+    if (!pattern) return { direction: 'outbound', towardsStopId: null };
+
+    if (pattern.type === 'linear') {
+      return { direction: pattern.direction, towardsStopId: pattern.stops[pattern.stops.length - 1] };
+    }
+
+    const offset = position % pattern.cycleLength;
+    return offset < pattern.turnIndex
+      ? { direction: 'outbound', towardsStopId: pattern.stops[pattern.turnIndex] }
+      : { direction: 'inbound', towardsStopId: pattern.stops[0] };
+  }
+
+  /**
+   * Where buses boarded at a stop are heading (direction hints in search results)
+   * @param {string|number} stopId
+   * @returns {Array<Object>} - [{ routeKey, towardsStopId }], one per route and headsign
+   */
+  getHeadsigns(stopId) {
+    const stopIdStr = String(stopId);
+    const headsigns = [];
+    const seen = new Set();
+
+    for (const routeKey of this.getRoutes(stopIdStr)) {
+      for (const patternKey of this.getRoutePatterns(routeKey)) {
+        for (const position of this.getPatternPositions(patternKey, stopIdStr)) {
+          const { towardsStopId } = this.getDirection(patternKey, position);
+          const key = `${routeKey}:${towardsStopId}`;
+          if (!towardsStopId || towardsStopId === stopIdStr || seen.has(key)) continue;
+
+          seen.add(key);
+          headsigns.push({ routeKey, towardsStopId });
+        }
+      }
+    }
+
+    return headsigns;
+  }
+
+  /**
+   * Count loop patterns
+   * @returns {number}
+   */
+  getLoopCount() {
+    let count = 0;
+    for (const pattern of this.patterns.values()) {
+      if (pattern.type === 'loop') count++;
+    }
+    return count;
+  }
+
+  /**
+   * Distance between two stops (Haversine formula)
+   * @param {Object} stop1 - { lat, lng }
+   * @param {Object} stop2 - { lat, lng }
+   * @returns {number} - Distance in meters
+   */
+  getDistanceMeters(stop1, stop2) {
+    const R = 6371000; // Earth's radius in meters
+    const dLat = (stop2.lat - stop1.lat) * Math.PI / 180;
+    const dLon = (stop2.lng - stop1.lng) * Math.PI / 180;
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+             Math.cos(stop1.lat * Math.PI / 180) * Math.cos(stop2.lat * Math.PI / 180) *
+             Math.sin(dLon/2) * Math.sin(dLon/2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  }
+
+  /**
+   * Get the key a route is indexed under
    * @param {Object} route
    * @returns {string}
    */
   getRouteKey(route) {
-    // Use route_num from exploration, or fallback to route_id
-    if (route.route_num) return route.route_num;
-    if (route.route_id) return route.route_id;
+    return this.routeKeys.get(route) || this.getBaseRouteKey(route);
+  }
+
+  /**
+   * Key for a route from its file name, falling back to its number or ID
+   * (initialize() adds a "~2" suffix if the key is already taken)
+   * @param {Object} route
+   * @returns {string}
+   */
+  getBaseRouteKey(route) {
     if (route.file) {
-      // Extract from filename: "route53.json" → "53"
+      // Extract from filename: "route53.json" → "53", "route37-Hlegu.json" → "37-Hlegu"
       const match = route.file.match(/route([^.]+)\.json/);
       if (match) return match[1];
     }
+    if (route.route_num) return route.route_num;
+    if (route.route_id) return route.route_id;
     return route.id || 'unknown';
   }
 
+  /**
+   * Add a route to its family (its route number in routes-index.json)
+   * @param {string} routeKey
+   * @param {Object} route
+   */
+  addToFamily(routeKey, route) {
+    const family = route.route_num || routeKey;
+    if (!this.families.has(family)) this.families.set(family, []);
+    this.families.get(family).push(routeKey);
+  }
+
+  /**
+   * Get the family (route number) of a route
+   * @param {string} routeKey
+   * @returns {string|null}
+   */
+  getRouteFamily(routeKey) {
+    const route = this.getRouteData(routeKey);
+    return route ? (route.route_num || routeKey) : null;
+  }
+
+  /**
+   * Get the variants of a route number
+   * @param {string} family - e.g. "37"
+   * @returns {Array<string>} - Route keys (a single one for most routes)
+   */
+  getFamilyVariants(family) {
+    return this.families.get(family) || [];
+  }
+
+  /**
+   * Get the route families
+   * @returns {Array<Object>} - [{ family, variants: [routeKey] }] in data order
+   */
+  getFamilies() {
+    return Array.from(this.families, ([family, variants]) => ({ family, variants }));
+  }
+
+  /**
+   * Describe a route as a variant of its family
+   * @param {string} routeKey
+   * @returns {Object|null} - { routeKey, family, branch, terminusStopId, variantCount }
+   *   branch: the file name part after the number ("37-Hlegu" → "Hlegu", "BoHmuBaHtoo" → "Bo Hmu Ba Htoo");
+   *   terminusStopId: where the bus turns (last stop, or the turnaround of a loop)
+   */
+  getVariantInfo(routeKey) {
+    const family = this.getRouteFamily(routeKey);
+    if (!family) return null;
+
+    const branch = routeKey.startsWith(`${family}-`)
+      ? routeKey.slice(family.length + 1).replace(/([a-z])([A-Z])/g, '$1 $2')
+      : null;
+    const [patternKey] = this.getRoutePatterns(routeKey);
+    const terminusStopId = patternKey ? this.getDirection(patternKey, 0).towardsStopId : null;
+
+    return { routeKey, family, branch, terminusStopId, variantCount: this.getFamilyVariants(family).length };
+  }
+
+  /**
+   * Display name of a route: "Route 1", or for a variant "Route 37 (to Lan Thone Sae)",
+   * with the branch name when the family's variants share a terminus
+   * ("Route 15 Shwe Pauk Kan (to Sayardaw Gyi)")
+   * @param {string} routeKey
+   * @param {Object} [stopMatcher] - For terminus names (without it: the branch name)
+   * @returns {string}
+   */
+  getRouteLabel(routeKey, stopMatcher = null) {
+    const variant = this.getVariantInfo(routeKey);
+    if (!variant) return `Route ${routeKey}`;
+    if (variant.variantCount < 2) return `Route ${variant.family}`;
+
+    const terminus = stopMatcher && variant.terminusStopId ? stopMatcher.getStopById(variant.terminusStopId) : null;
+    if (!terminus) return `Route ${variant.family}${variant.branch ? ` ${variant.branch}` : ` (${routeKey})`}`;
+
+    // Compared by name: the other variant may turn at another platform of the same station
+    const sharedTerminus = this.getFamilyVariants(variant.family).some(other => {
+      const otherTerminusId = other !== routeKey && this.getVariantInfo(other).terminusStopId;
+      const otherTerminus = otherTerminusId && stopMatcher.getStopById(otherTerminusId);
+      return otherTerminus && otherTerminus.name_en === terminus.name_en;
+    });
+    const branch = sharedTerminus && variant.branch ? ` ${variant.branch}` : '';
+    return `Route ${variant.family}${branch} (to ${terminus.name_en})`;
+  }
+
   /**
    * Get all routes serving a specific stop
    * @param {string|number} stopId
@@ -129,6 +554,27 @@ class RouteIndex {
     return this.routeData.get(routeKey) || null;
   }
 
+  /**
+   * Get the ordered stop sequence of a route (string IDs)
+   * @param {string} routeKey
+   * @returns {Array<string>}
+   */
+  getRouteStops(routeKey) {
+    return this.routeStops.get(routeKey) || [];
+  }
+
+  /**
+   * Get every position of a stop within a route's stop sequence
+   * @param {string} routeKey
+   * @param {string|number} stopId
+   * @returns {Array<number>} - Ascending positions (empty if not served)
+   */
+  getStopPositions(routeKey, stopId) {
+    const positions = this.stopPositions.get(routeKey);
+    if (!positions) return [];
+    return positions.get(String(stopId)) || [];
+  }
+
   /**
    * Check if a stop is a transfer hub (3+ routes)
    * @param {string|number} stopId
@@ -236,25 +682,48 @@ class RouteIndex {
 
   /**
    * Export index for caching (e.g., IndexedDB)
+   * Everything needed to answer queries without rebuilding: route data,
+   * the inverted index and the patterns (position tables are rebuilt on import).
    * @returns {Object}
    */
   exportForCache() {
     return {
       stopToRoutes: Array.from(this.stopToRoutes.entries()).map(([k, v]) => [k, Array.from(v)]),
       transferHubs: Array.from(this.transferHubs),
+      routeData: Array.from(this.routeData.entries()),
+      patterns: Array.from(this.patterns.values()).map(({ positions, ...pattern }) => pattern),
+      routePatterns: Array.from(this.routePatterns.entries()),
+      keyVersion: this.keyVersion,
       timestamp: Date.now()
     };
   }
 
   /**
    * Import index from cache
-   * @param {Object} cachedData
+   * @param {Object} cachedData - Output of exportForCache()
+   * @returns {boolean} - false if the cached data is incomplete (rebuild with initialize())
    */
   importFromCache(cachedData) {
     console.log('[RouteIndex] Importing from cache...');
 
+    if (!cachedData || !cachedData.routeData || !cachedData.patterns || !cachedData.routePatterns) {
+      console.warn('[RouteIndex] Cached index is incomplete, ignoring it');
+      return false;
+    }
+    if (cachedData.keyVersion !== this.keyVersion) {
+      console.warn('[RouteIndex] Cached index uses older route keys, ignoring it');
+      return false;
+    }
+
     this.stopToRoutes.clear();
+    this.routeData.clear();
+    this.routeStops.clear();
+    this.stopPositions.clear();
+    this.patterns.clear();
+    this.routePatterns.clear();
     this.transferHubs.clear();
+    this.families.clear();
+    this.routeKeys = new WeakMap();
 
     // Restore stopToRoutes Map
     for (const [stopId, routesArray] of cachedData.stopToRoutes) {
@@ -266,8 +735,26 @@ class RouteIndex {
       this.transferHubs.add(stopId);
     }
 
+    // Restore route data and rebuild the position tables
+    for (const [routeKey, route] of cachedData.routeData) {
+      this.routeData.set(routeKey, route);
+      this.routeKeys.set(route, routeKey);
+      this.addToFamily(routeKey, route);
+      this.buildPositionTable(routeKey, route.stops);
+    }
+
+    // Restore patterns
+    for (const pattern of cachedData.patterns) {
+      this.addPattern(pattern.key, pattern.routeKey, pattern.type, pattern.direction, pattern.stops,
+        pattern.cycleLength, pattern.turnIndex, pattern.inferred);
+    }
+    for (const [routeKey, keys] of cachedData.routePatterns) {
+      this.routePatterns.set(routeKey, keys);
+    }
+
     this.isInitialized = true;
-    console.log(`[RouteIndex] Imported ${this.stopToRoutes.size} stops from cache`);
+    console.log(`[RouteIndex] Imported ${this.stopToRoutes.size} stops, ${this.routeData.size} routes from cache`);
+    return true;
   }
 }
 
@@ -0,0 +1,417 @@
+/**
+ * SavedJourneys - Persistent saved journeys and favourite stops
+ *
+ * Problem: Riders plan the same trips every day and have to search again.
+ * Solution: Keep saved journeys (origin, destination and the chosen path)
+ * and favourite stops (Home, Work, ...) in localStorage.
+ *
+ * Stored format (localStorage "ybs.saved"):
+ * {
+ *   "version": 1,
+ *   "journeys": [{
+ *     "id": "j1718000000000",
+ *     "savedAt": "2024-06-10T08:00:00.000Z",
+ *     "origin": { "id": "123", "name_en": "Hledan", ... },       // or a map point / landmark (id null, lat/lng)
+ *     "destination": { ... },
+ *     "path": {
+ *       "signature": "12@3-18|walk:456|36|inbound@0-9",
+ *       "routes": ["12", "36"],
+ *       "legs": [{ "type": "bus", "route": "12", "pattern": "12", "boardStop": "123", "alightStop": "789",
+ *                  "boardIndex": 3, "alightIndex": 18 }, ...]
+ *     },
+ *     "status": "ok"                                            // "remapped" | "path-changed" | "invalid"
+ *   }],
+ *   "favourites": [{ "label": "Home", "stopId": "123", "name_en": "Hledan", "name_mm": "..." }]
+ * }
+ *
+ * Stop and route IDs can change when the dataset is regenerated, so
+ * validate() re-checks everything against the loaded StopMatcher/RouteIndex:
+ * stops whose ID no longer matches are looked up again by name, and paths
+ * whose legs no longer fit their route pattern are dropped (the journey is
+ * then simply searched again).
+ */
+
+class SavedJourneys {
+  constructor(storage = null) {
+    this.storageKey = 'ybs.saved';
+    this.storage = storage || this.getDefaultStorage();
+    this.journeys = [];
+    this.favourites = [];
+    this.listeners = [];
+
+    this.load();
+  }
+
+  /**
+   * localStorage when available (it throws in some private browsing modes)
+   * @returns {Object|null}
+   */
+  getDefaultStorage() {
+    try {
+      return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Read saved data from storage
+   */
+  load() {
+    if (!this.storage) return;
+
+    try {
+      const data = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+      if (data && data.version === 1) {
+        this.journeys = Array.isArray(data.journeys) ? data.journeys : [];
+        this.favourites = Array.isArray(data.favourites) ? data.favourites : [];
+      }
+    } catch (error) {
+      console.warn('[SavedJourneys] Could not read saved data:', error);
+    }
+  }
+
+  /**
+   * Write saved data to storage and notify listeners
+   */
+  persist() {
+    if (this.storage) {
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify({
+          version: 1,
+          journeys: this.journeys,
+          favourites: this.favourites
+        }));
+      } catch (error) {
+        console.warn('[SavedJourneys] Could not save:', error);
+      }
+    }
+
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Call a function whenever saved data changes
+   * @param {Function} listener - (savedJourneys) => void
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Save a journey
+   * @param {Object} origin - Stop object or map point ({ id: null, lat, lng, name_en })
+   * @param {Object} destination
+   * @param {Object} [path] - Path object from PathFinder (the chosen option)
+   * @returns {Object} - Saved journey
+   */
+  saveJourney(origin, destination, path = null) {
+    const journey = {
+      id: `j${Date.now()}`,
+      savedAt: new Date().toISOString(),
+      origin: this.toPlace(origin),
+      destination: this.toPlace(destination),
+      path: path ? this.toSavedPath(path) : null,
+      status: 'ok'
+    };
+
+    // Saving the same trip again replaces it
+    const signature = journey.path ? journey.path.signature : null;
+    this.journeys = this.journeys.filter(existing =>
+      !(this.isSamePlace(existing.origin, journey.origin) &&
+        this.isSamePlace(existing.destination, journey.destination) &&
+        (existing.path ? existing.path.signature : null) === signature)
+    );
+
+    this.journeys.unshift(journey);
+    this.persist();
+
+    console.log(`[SavedJourneys] Saved journey ${journey.origin.name_en} → ${journey.destination.name_en}`);
+    return journey;
+  }
+
+  /**
+   * Delete a saved journey
+   * @param {string} journeyId
+   */
+  removeJourney(journeyId) {
+    this.journeys = this.journeys.filter(journey => journey.id !== journeyId);
+    this.persist();
+  }
+
+  /**
+   * Get saved journeys (newest first)
+   * @returns {Array<Object>}
+   */
+  getJourneys() {
+    return this.journeys;
+  }
+
+  /**
+   * Get a saved journey by ID
+   * @param {string} journeyId
+   * @returns {Object|null}
+   */
+  getJourney(journeyId) {
+    return this.journeys.find(journey => journey.id === journeyId) || null;
+  }
+
+  /**
+   * Add or replace a favourite stop (one stop per label)
+   * @param {string} label - e.g. "Home", "Work"
+   * @param {Object} stop - Stop object
+   * @returns {Object} - Favourite
+   */
+  setFavourite(label, stop) {
+    const favourite = {
+      label: label.trim(),
+      stopId: String(stop.id),
+      name_en: stop.name_en,
+      name_mm: stop.name_mm || ''
+    };
+
+    this.favourites = this.favourites.filter(existing =>
+      existing.label.toLowerCase() !== favourite.label.toLowerCase()
+    );
+    this.favourites.push(favourite);
+    this.persist();
+
+    console.log(`[SavedJourneys] ${favourite.label} set to ${favourite.name_en}`);
+    return favourite;
+  }
+
+  /**
+   * Delete a favourite stop
+   * @param {string} label
+   */
+  removeFavourite(label) {
+    this.favourites = this.favourites.filter(favourite => favourite.label !== label);
+    this.persist();
+  }
+
+  /**
+   * Get favourite stops (Home and Work first)
+   * @returns {Array<Object>}
+   */
+  getFavourites() {
+    const order = label => ['home', 'work'].indexOf(label.toLowerCase()) + 1 || 3;
+    return [...this.favourites].sort((a, b) => order(a.label) - order(b.label));
+  }
+
+  /**
+   * Suggest a label for a new favourite: Home, then Work, then the stop name
+   * @param {Object} stop
+   * @returns {string}
+   */
+  suggestLabel(stop) {
+    const labels = new Set(this.favourites.map(favourite => favourite.label.toLowerCase()));
+    if (!labels.has('home')) return 'Home';
+    if (!labels.has('work')) return 'Work';
+    return stop.name_en;
+  }
+
+  /**
+   * Re-check saved stops and paths against the loaded dataset
+   * @param {Object} stopMatcher - Initialized StopMatcher
+   * @param {Object} routeIndex - Initialized RouteIndex
+   * @returns {Object} - { remapped, pathChanged, invalid } journey counts
+   */
+  validate(stopMatcher, routeIndex) {
+    const counts = { remapped: 0, pathChanged: 0, invalid: 0 };
+
+    for (const journey of this.journeys) {
+      const origin = this.resolvePlace(journey.origin, stopMatcher);
+      const destination = this.resolvePlace(journey.destination, stopMatcher);
+
+      if (!origin || !destination) {
+        journey.status = 'invalid';
+        counts.invalid++;
+        continue;
+      }
+
+      const remapped = origin.id !== journey.origin.id || destination.id !== journey.destination.id;
+      journey.origin = origin;
+      journey.destination = destination;
+
+      if (journey.path && (remapped || !this.isPathValid(journey.path, stopMatcher, routeIndex))) {
+        journey.path = null;
+        journey.status = 'path-changed';
+        counts.pathChanged++;
+      } else if (remapped) {
+        journey.status = 'remapped';
+        counts.remapped++;
+      } else if (journey.status === 'invalid') {
+        journey.status = 'ok';
+      }
+    }
+
+    this.favourites = this.favourites.filter(favourite => {
+      const stop = this.resolvePlace({ id: favourite.stopId, name_en: favourite.name_en }, stopMatcher);
+      if (!stop) {
+        console.warn(`[SavedJourneys] Favourite ${favourite.label} (${favourite.name_en}) no longer exists`);
+        return false;
+      }
+      favourite.stopId = stop.id;
+      favourite.name_en = stop.name_en;
+      favourite.name_mm = stop.name_mm || '';
+      return true;
+    });
+
+    this.persist();
+    console.log(`[SavedJourneys] Validated ${this.journeys.length} journeys, ${this.favourites.length} favourites`, counts);
+    return counts;
+  }
+
+  /**
+   * Find a saved place in the current dataset: by ID (if the name still
+   * matches), otherwise by name. Map points are kept as they are.
+   * @param {Object} place - Saved place
+   * @param {Object} stopMatcher
+   * @returns {Object|null} - Updated saved place, or null if the stop is gone
+   */
+  resolvePlace(place, stopMatcher) {
+    if (!place) return null;
+    if (!place.id) return place;
+
+    const sameName = stop => stopMatcher.normalize(stop.name_en) === stopMatcher.normalize(place.name_en);
+
+    const stop = stopMatcher.getStopById(place.id);
+    if (stop && sameName(stop)) return this.toPlace(stop);
+
+    const renamedId = stopMatcher.findStopId(place.name_en);
+    const renamed = renamedId && stopMatcher.getStopById(renamedId);
+    if (renamed && sameName(renamed)) return this.toPlace(renamed);
+
+    return null;
+  }
+
+  /**
+   * Check that every leg of a saved path still fits the dataset
+   * @param {Object} savedPath
+   * @param {Object} stopMatcher
+   * @param {Object} routeIndex
+   * @returns {boolean}
+   */
+  isPathValid(savedPath, stopMatcher, routeIndex) {
+    return savedPath.legs.every(leg => {
+      if (leg.type === 'walk') {
+        return [leg.boardStop, leg.alightStop].every(stopId =>
+          stopId === null || stopMatcher.getStopById(stopId)
+        );
+      }
+
+      if (!routeIndex.getRouteData(leg.route)) return false;
+      if (leg.pattern !== leg.route && !routeIndex.getPattern(leg.pattern)) return false;
+
+      const stops = routeIndex.getPatternStops(leg.pattern);
+      return stops[leg.boardIndex] === leg.boardStop && stops[leg.alightIndex] === leg.alightStop;
+    });
+  }
+
+  /**
+   * Journey signature of a path (same form as PathFinder candidates)
+   * @param {Array<Object>} legs - Saved or detailed legs
+   * @returns {string}
+   */
+  getSignature(legs) {
+    const stopId = stop => (stop && typeof stop === 'object') ? stop.id : stop;
+
+    return legs
+      .map(leg => leg.type === 'walk'
+        ? `walk:${stopId(leg.alightStop)}`
+        : `${leg.pattern || leg.route}@${leg.boardIndex}-${leg.alightIndex}`)
+      .join('|');
+  }
+
+  /**
+   * Find the result matching a saved journey's path (itself, or the result
+   * it was folded into as one of its similarPaths)
+   * @param {Object} journey - Saved journey
+   * @param {Array<Object>} paths - Fresh PathFinder results
+   * @returns {number} - Index in paths, or -1
+   */
+  findMatchingPath(journey, paths) {
+    if (!journey.path) return -1;
+
+    const matches = path => this.getSignature(path.legs) === journey.path.signature;
+    const index = paths.findIndex(matches);
+    return index >= 0 ? index : paths.findIndex(path => (path.similarPaths || []).some(matches));
+  }
+
+  /**
+   * Compact, storable form of a PathFinder path
+   * @param {Object} path
+   * @returns {Object}
+   */
+  toSavedPath(path) {
+    const legs = path.legs.map(leg => leg.type === 'walk'
+      ? {
+          type: 'walk',
+          boardStop: leg.boardStop.id || null,
+          alightStop: leg.alightStop.id || null,
+          walkDistance: leg.walkDistance
+        }
+      : {
+          type: 'bus',
+          route: leg.route,
+          pattern: leg.pattern || leg.route,
+          boardStop: String(leg.boardStop.id),
+          alightStop: String(leg.alightStop.id),
+          boardIndex: leg.boardIndex,
+          alightIndex: leg.alightIndex
+        });
+
+    return {
+      signature: this.getSignature(legs),
+      routes: legs.filter(leg => leg.type === 'bus').map(leg => leg.route),
+      legs
+    };
+  }
+
+  /**
+   * Storable form of a stop or map point (landmarks are kept as map points
+   * with their linked stops, so they do not depend on the landmark file)
+   * @param {Object} place
+   * @returns {Object}
+   */
+  toPlace(place) {
+    if (place.type === 'landmark') {
+      return {
+        type: 'location',
+        id: null,
+        name_en: place.name_en,
+        name_mm: place.name_mm || '',
+        lat: place.lat,
+        lng: place.lng,
+        stopIds: (place.stopIds || []).map(String)
+      };
+    }
+
+    return {
+      type: place.type === 'location' ? 'location' : 'stop',
+      id: place.id ? String(place.id) : null,
+      name_en: place.name_en,
+      name_mm: place.name_mm || '',
+      lat: place.lat,
+      lng: place.lng,
+      road_en: place.road_en || '',
+      township_en: place.township_en || ''
+    };
+  }
+
+  /**
+   * Whether two saved places are the same stop or map point
+   */
+  isSamePlace(a, b) {
+    if (a.id || b.id) return a.id === b.id;
+    return a.lat === b.lat && a.lng === b.lng;
+  }
+}
+
+// Export as singleton instance
+const savedJourneys = new SavedJourneys();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = savedJourneys;
+}
@@ -0,0 +1,231 @@
+/**
+ * ServiceSchedule - Service hours and headways per route
+ *
+ * Problem: Route JSON files say where a bus goes, not when it runs.
+ * Solution: Optional per-route schedule files (listed in schedules-index.json)
+ * describing first/last bus and headway bands for weekdays and weekends.
+ *
+ * Schedule file format (data/schedules/<file>.json):
+ * {
+ *   "route_file": "route1.json",  // Route file the schedule is for
+ *   "route_id": "1",               // Older files: matched when only one route file has this route_id
+ *   "service": {
+ *     "weekday": {
+ *       "first": "05:30",
+ *       "last": "21:00",
+ *       "headways": [
+ *         { "start": "05:30", "end": "09:30", "minutes": 8 },
+ *         { "start": "09:30", "end": "21:00", "minutes": 12 }
+ *       ]
+ *     },
+ *     "weekend": { ... }
+ *   }
+ * }
+ *
+ * - "weekday" covers Monday–Friday, "weekend" Saturday–Sunday; "daily" is
+ *   used for any day type that is not given
+ * - Times past midnight are written as "24:30", "25:00", ...
+ * - Routes without a schedule are assumed to run at all times
+ * - Branches of a route can share a route_id but not their hours, so
+ *   schedules are matched to route files and looked up by route key
+ *   (see RouteIndex.getRouteKey); a route_id shared by several files is
+ *   ambiguous and skipped with a warning
+ */
+
+class ServiceSchedule {
+  constructor() {
+    this.schedules = new Map();          // routeKey → schedule object
+    this.isInitialized = false;
+  }
+
+  /**
+   * Initialize with schedule objects
+   * @param {Array<Object>} schedulesArray - Parsed schedule files
+   * @param {Iterable<Array>} routes - [routeKey, route] entries (e.g. routeIndex.routeData)
+   */
+  initialize(schedulesArray, routes) {
+    console.log('[ServiceSchedule] Loading schedules...');
+    this.schedules.clear();
+
+    const keysByFile = new Map();
+    const keysById = new Map();
+    for (const [routeKey, route] of routes) {
+      if (route.file) keysByFile.set(route.file, routeKey);
+      const routeId = String(route.route_id);
+      if (!keysById.has(routeId)) keysById.set(routeId, []);
+      keysById.get(routeId).push(routeKey);
+    }
+
+    for (const schedule of schedulesArray) {
+      if (!schedule || !(schedule.route_file || schedule.route_id) || !schedule.service) {
+        console.warn('[ServiceSchedule] Skipping invalid schedule:', schedule);
+        continue;
+      }
+
+      const routeKeys = schedule.route_file
+        ? [keysByFile.get(schedule.route_file)].filter(Boolean)
+        : keysById.get(String(schedule.route_id)) || [];
+      if (routeKeys.length !== 1) {
+        console.warn(`[ServiceSchedule] Skipping schedule for ${schedule.route_file || `route_id ${schedule.route_id}`}: ` +
+          (routeKeys.length === 0 ? 'no such route' : `${routeKeys.length} route files share it, set route_file`));
+        continue;
+      }
+      this.schedules.set(routeKeys[0], schedule);
+    }
+
+    this.isInitialized = true;
+    console.log(`[ServiceSchedule] Loaded schedules for ${this.schedules.size} routes`);
+  }
+
+  /**
+   * Check if a route has schedule data
+   * @param {string} routeKey
+   * @returns {boolean}
+   */
+  hasSchedule(routeKey) {
+    return this.schedules.has(routeKey);
+  }
+
+  /**
+   * Get a route's schedule
+   * @param {string} routeKey
+   * @returns {Object|null} - Schedule file contents
+   */
+  getSchedule(routeKey) {
+    return this.schedules.get(routeKey) || null;
+  }
+
+  /**
+   * Get the service definition covering a date's day type
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {Object|null} - { first, last, headways }
+   */
+  getServiceDay(routeKey, date) {
+    const schedule = this.getSchedule(routeKey);
+    if (!schedule) return null;
+
+    const day = date.getDay();
+    const dayType = day === 0 || day === 6 ? 'weekend' : 'weekday';
+    return schedule.service[dayType] || schedule.service.daily || null;
+  }
+
+  /**
+   * Find the service day and minutes-since-its-midnight for a moment in time
+   * Checks yesterday's service first so "24:30"-style late buses are found.
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {Object|null} - { service, minutes }
+   */
+  findActiveService(routeKey, date) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+
+    const yesterday = new Date(date.getTime() - 24 * 60 * 60000);
+    const lateService = this.getServiceDay(routeKey, yesterday);
+    if (lateService && this.isWithin(lateService, minutes + 24 * 60)) {
+      return { service: lateService, minutes: minutes + 24 * 60 };
+    }
+
+    const service = this.getServiceDay(routeKey, date);
+    if (service && this.isWithin(service, minutes)) {
+      return { service, minutes };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a route runs at a given time (true when no schedule is known)
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {boolean}
+   */
+  isRunning(routeKey, date) {
+    if (!this.hasSchedule(routeKey)) return true;
+    return this.findActiveService(routeKey, date) !== null;
+  }
+
+  /**
+   * Minutes until a route's service starts (0 if running now)
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {number|null} - Minutes, or null if no more buses today
+   */
+  getMinutesUntilService(routeKey, date) {
+    if (this.isRunning(routeKey, date)) return 0;
+
+    const service = this.getServiceDay(routeKey, date);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (service && minutes < this.parseClock(service.first)) {
+      return this.parseClock(service.first) - minutes;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the headway (minutes between buses) at a given time
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {number|null} - Minutes, or null if unknown / not running
+   */
+  getHeadway(routeKey, date) {
+    const active = this.findActiveService(routeKey, date);
+    if (!active || !Array.isArray(active.service.headways)) return null;
+
+    const band = active.service.headways.find(h =>
+      active.minutes >= this.parseClock(h.start) && active.minutes < this.parseClock(h.end)
+    );
+    return band ? band.minutes : null;
+  }
+
+  /**
+   * Expected wait for a random arrival at the stop (half the headway)
+   * @param {string} routeKey
+   * @param {Date} date
+   * @returns {number|null} - Minutes, or null if unknown
+   */
+  getExpectedWait(routeKey, date) {
+    const headway = this.getHeadway(routeKey, date);
+    return headway ? headway / 2 : null;
+  }
+
+  /**
+   * Check if a time falls between first and last bus
+   * @param {Object} service - { first, last }
+   * @param {number} minutes - Minutes since the service day's midnight
+   * @returns {boolean}
+   */
+  isWithin(service, minutes) {
+    return minutes >= this.parseClock(service.first) && minutes <= this.parseClock(service.last);
+  }
+
+  /**
+   * Parse "HH:MM" (hours may exceed 23) into minutes after midnight
+   * @param {string} clock
+   * @returns {number}
+   */
+  parseClock(clock) {
+    const [hours, minutes] = String(clock).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Get statistics about loaded schedules
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      scheduledRoutes: this.schedules.size,
+      isInitialized: this.isInitialized
+    };
+  }
+}
+
+// Export as singleton instance
+const serviceSchedule = new ServiceSchedule();
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = serviceSchedule;
+}
@@ -8,14 +8,49 @@
  * - ID → Stop object lookup (O(1))
  * - Name → Stop ID(s) lookup with fuzzy matching
  * - Supports English and Myanmar text
- * - Normalized search (case-insensitive, punctuation-removed)
+ * - Normalized search (case-insensitive, punctuation-removed; Myanmar text
+ *   typed in Zawgyi, in another sign order or with ၀/ဝ mix-ups is normalized
+ *   by MyanmarText when myanmarText.js is loaded)
+ * - Typo-tolerant and phonetic matching: names are keyed by
+ *   MyanmarText.phoneticKey() (so "Hlaedan" finds Hledan, and Latin
+ *   queries find Myanmar names through their transliteration), with a
+ *   trigram index to find keys within a small edit distance
+ * - Spatial grid for nearby-stop lookups (walking links)
+ * - Stations: stops with the same English name within stationRadius (the
+ *   two sides of a road, duplicate entries) are grouped, so search can list
+ *   the place once (searchStations) and PathFinder can plan from all of its
+ *   platforms (getStationStopIds)
+ * - Landmarks and aliases (data/landmarks.tsv: "Junction City", "YGH") are
+ *   searched with the stops; they come back as places with type 'landmark'
+ *   and their linked or nearest stops (nearbyStops), to plan from by location
+ * - Stop amenities (data/stop-amenities.tsv: shelter, step-free boarding,
+ *   lighting, nearby landmarks), merged with the landmarks linked to each
+ *   stop (getAmenities); PathFinder can avoid transfers where they are missing
  */
 
 class StopMatcher {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {MyanmarText} [options.myanmarText] - Myanmar normalizer (defaults to the global one, if loaded)
+   * @param {number} [options.stationRadius=250] - m - same-name stops this close form one station
+   */
+  constructor(options = {}) {
+    this.myanmarText = options.myanmarText ||
+      (typeof myanmarText !== 'undefined' ? myanmarText : null);
     this.idToStop = new Map();           // stopId → full stop object
     this.nameToIds = new Map();          // normalized name → stopId[]
     this.stops = [];                     // Array of all stops
+    this.spatialGrid = new Map();        // "latCell:lngCell" → stopId[]
+    this.gridCellSize = 0.005;           // degrees (~550m in Yangon)
+    this.stationRadius = options.stationRadius || 250;
+    this.stations = new Map();           // stationId (its first stop's ID) → { id, name_en, name_mm, lat, lng, stopIds }
+    this.stopToStation = new Map();      // stopId → stationId (stops sharing a station only)
+    this.landmarks = new Map();          // landmarkId → landmark object
+    this.landmarkNames = new Map();      // normalized landmark name or alias → landmarkId[]
+    this.stopLandmarks = new Map();      // stopId → names of the landmarks linked to it
+    this.amenities = new Map();          // stopId → { shelter, stepFree, lighting, landmarks }
+    this.keyToIds = null;                // phonetic key → stop/landmark IDs (built on first fuzzy search)
+    this.gramToKeys = null;              // key trigram → phonetic keys
     this.isInitialized = false;
   }
 
@@ -30,7 +65,10 @@ class StopMatcher {
     // Clear existing data
     this.idToStop.clear();
     this.nameToIds.clear();
+    this.spatialGrid.clear();
     this.stops = [];
+    this.keyToIds = null;
+    this.gramToKeys = null;
 
     // Build indices
     for (const [id, stop] of Object.entries(stopsData)) {
@@ -55,13 +93,193 @@ class StopMatcher {
         const roadKey = this.normalize(stop.road_en);
         this.addToNameIndex(roadKey, id);
       }
+
+      // Index by location (for nearby stop lookups)
+      this.addToSpatialGrid(stop, id);
     }
 
+    this.buildStations();
+
     this.isInitialized = true;
     const endTime = performance.now();
     console.log(`[StopMatcher] Initialized ${this.stops.length} stops in ${(endTime - startTime).toFixed(2)}ms`);
   }
 
+  /**
+   * Group same-name stops within stationRadius of each other into stations.
+   * Each station is seeded by its lowest stop ID, and takes the same-name
+   * stops within the radius of that seed, so a long road of same-name stops
+   * is not chained into one station.
+   */
+  buildStations() {
+    this.stations.clear();
+    this.stopToStation.clear();
+
+    const byName = new Map();  // normalized English name → stops
+    for (const [id, stop] of this.idToStop) {
+      const norm = this.normalize(stop.name_en);
+      if (!byName.has(norm)) byName.set(norm, []);
+      byName.get(norm).push(id);
+    }
+
+    for (const ids of byName.values()) {
+      if (ids.length < 2) continue;
+
+      const remaining = ids.sort((a, b) => Number(a) - Number(b) || a.localeCompare(b));
+      while (remaining.length > 1) {
+        const seed = this.idToStop.get(remaining[0]);
+        const stopIds = remaining.filter(id => {
+          const stop = this.idToStop.get(id);
+          return this.getDistanceMeters(seed.lat, seed.lng, stop.lat, stop.lng) <= this.stationRadius;
+        });
+        for (const id of stopIds) remaining.splice(remaining.indexOf(id), 1);
+        if (stopIds.length < 2) continue;
+
+        const stops = stopIds.map(id => this.idToStop.get(id));
+        const station = {
+          id: stopIds[0],
+          name_en: seed.name_en,
+          name_mm: seed.name_mm || '',
+          lat: stops.reduce((sum, stop) => sum + stop.lat, 0) / stops.length,
+          lng: stops.reduce((sum, stop) => sum + stop.lng, 0) / stops.length,
+          stopIds
+        };
+        this.stations.set(station.id, station);
+        for (const id of stopIds) this.stopToStation.set(id, station.id);
+      }
+    }
+  }
+
+  /**
+   * Get the station a stop belongs to
+   * @param {string|number} stopId
+   * @returns {Object|null} - { id, name_en, name_mm, lat, lng, stopIds }, or null for a stop of its own
+   */
+  getStation(stopId) {
+    const stationId = this.stopToStation.get(String(stopId));
+    return stationId ? this.stations.get(stationId) : null;
+  }
+
+  /**
+   * All platforms of a stop's station (just the stop if it has no station)
+   * @param {string|number} stopId
+   * @returns {Array<string>}
+   */
+  getStationStopIds(stopId) {
+    const station = this.getStation(stopId);
+    return station ? station.stopIds : [String(stopId)];
+  }
+
+  /**
+   * Index landmarks and aliases (replacing any set before)
+   * @param {Array<Object>} landmarks - [{ id, name_en, name_mm, lat, lng, stopIds, aliases }]
+   */
+  setLandmarks(landmarks) {
+    this.landmarks.clear();
+    this.landmarkNames.clear();
+    this.stopLandmarks.clear();
+    this.keyToIds = null;
+    this.gramToKeys = null;
+
+    for (const landmark of landmarks) {
+      if (!landmark || !landmark.id || !landmark.name_en) continue;
+      this.landmarks.set(landmark.id, landmark);
+
+      for (const name of this.getLandmarkNames(landmark)) {
+        const norm = this.normalize(name);
+        if (!norm) continue;
+        if (!this.landmarkNames.has(norm)) this.landmarkNames.set(norm, []);
+        const ids = this.landmarkNames.get(norm);
+        if (!ids.includes(landmark.id)) ids.push(landmark.id);
+      }
+
+      for (const stopId of landmark.stopIds || []) {
+        const id = String(stopId);
+        if (!this.stopLandmarks.has(id)) this.stopLandmarks.set(id, []);
+        const names = this.stopLandmarks.get(id);
+        if (!names.includes(landmark.name_en)) names.push(landmark.name_en);
+      }
+    }
+
+    console.log(`[StopMatcher] Indexed ${this.landmarks.size} landmarks`);
+  }
+
+  /**
+   * Set stop amenities (replacing any set before); rows for unknown stops are skipped
+   * @param {Array<Object>} amenities - [{ stopId, shelter, stepFree, lighting, landmarks }]
+   *   (true, false, or null when unknown)
+   */
+  setAmenities(amenities) {
+    this.amenities.clear();
+    let skipped = 0;
+
+    for (const row of amenities) {
+      if (!row || !this.idToStop.has(String(row.stopId))) {
+        skipped++;
+        continue;
+      }
+      const { stopId, ...attributes } = row;
+      this.amenities.set(String(stopId), attributes);
+    }
+
+    console.log(`[StopMatcher] Amenities for ${this.amenities.size} stops${skipped > 0 ? ` (${skipped} rows for unknown stops skipped)` : ''}`);
+  }
+
+  /**
+   * Amenities of a stop, with the landmarks linked to it in landmarks.tsv
+   * added to its nearby landmarks
+   * @param {string|number} stopId
+   * @returns {Object|null} - { shelter, stepFree, lighting, landmarks } (null: nothing known)
+   */
+  getAmenities(stopId) {
+    const id = String(stopId);
+    const attributes = this.amenities.get(id);
+    const landmarks = attributes ? [...attributes.landmarks] : [];
+
+    for (const name of this.stopLandmarks.get(id) || []) {
+      if (!landmarks.includes(name)) landmarks.push(name);
+    }
+
+    if (!attributes && landmarks.length === 0) return null;
+    return {
+      shelter: attributes ? attributes.shelter : null,
+      stepFree: attributes ? attributes.stepFree : null,
+      lighting: attributes ? attributes.lighting : null,
+      landmarks
+    };
+  }
+
+  /**
+   * Whether a stop has every required amenity
+   * @param {string|number} stopId
+   * @param {Array<string>} required - e.g. ['stepFree', 'shelter']
+   * @param {boolean} [requireKnown=false] - Also fail when an amenity is unknown
+   *   (by default only stops known to lack one fail, so stops without a row in
+   *   stop-amenities.tsv pass; see getAmenityCoverage)
+   * @returns {boolean}
+   */
+  hasAmenities(stopId, required, requireKnown = false) {
+    const attributes = this.amenities.get(String(stopId)) || {};
+    return required.every(name => requireKnown ? attributes[name] === true : attributes[name] !== false);
+  }
+
+  /**
+   * How many stops have amenities in stop-amenities.tsv
+   * @returns {Object} - { known, total }
+   */
+  getAmenityCoverage() {
+    return { known: this.amenities.size, total: this.idToStop.size };
+  }
+
+  /**
+   * Every name a landmark can be searched by
+   * @param {Object} landmark
+   * @returns {Array<string>}
+   */
+  getLandmarkNames(landmark) {
+    return [landmark.name_en, landmark.name_mm, ...(landmark.aliases || [])].filter(name => name);
+  }
+
   /**
    * Add a stop ID to the name index
    * @param {string} normalizedName
@@ -75,12 +293,41 @@ class StopMatcher {
   }
 
   /**
-   * Normalize text for matching (lowercase, trim, remove punctuation)
+   * Add a stop to the spatial grid
+   * @param {Object} stop
+   * @param {string} stopId
+   */
+  addToSpatialGrid(stop, stopId) {
+    if (!Number.isFinite(stop.lat) || !Number.isFinite(stop.lng)) return;
+
+    const key = this.getGridKey(
+      Math.floor(stop.lat / this.gridCellSize),
+      Math.floor(stop.lng / this.gridCellSize)
+    );
+    if (!this.spatialGrid.has(key)) {
+      this.spatialGrid.set(key, []);
+    }
+    this.spatialGrid.get(key).push(stopId);
+  }
+
+  /**
+   * Build spatial grid key from cell coordinates
+   * @param {number} latCell
+   * @param {number} lngCell
+   * @returns {string}
+   */
+  getGridKey(latCell, lngCell) {
+    return `${latCell}:${lngCell}`;
+  }
+
+  /**
+   * Normalize text for matching (lowercase, trim, remove punctuation, normalize Myanmar)
    * @param {string} text
    * @returns {string}
    */
   normalize(text) {
     if (!text) return '';
+    if (this.myanmarText) text = this.myanmarText.normalize(text);
     return text
       .toLowerCase()
       .trim()
@@ -100,7 +347,46 @@ class StopMatcher {
   }
 
   /**
-   * Find stop ID(s) from name query with fuzzy matching
+   * Get a landmark as a place to plan from (type 'landmark', with its nearbyStops)
+   * @param {string} landmarkId
+   * @returns {Object|null}
+   */
+  getLandmark(landmarkId) {
+    const landmark = this.landmarks.get(String(landmarkId));
+    if (!landmark) return null;
+    return { ...landmark, type: 'landmark', nearbyStops: this.getLandmarkStops(landmark) };
+  }
+
+  /**
+   * Get a stop or a landmark by ID (e.g. from a shared link)
+   * @param {string|number} id
+   * @returns {Object|null}
+   */
+  getPlaceById(id) {
+    return this.getStopById(id) || this.getLandmark(id);
+  }
+
+  /**
+   * Stops serving a landmark: its linked stops, or else the nearest ones
+   * @param {Object} landmark
+   * @param {number} [limit]
+   * @param {number} [radiusMeters] - Search radius when no stops are linked
+   * @returns {Array<Object>} - [{ stop, distance }] sorted by distance (m)
+   */
+  getLandmarkStops(landmark, limit = 3, radiusMeters = 500) {
+    const linked = (landmark.stopIds || [])
+      .map(stopId => this.getStopById(stopId))
+      .filter(stop => stop)
+      .map(stop => ({ stop, distance: this.getDistanceMeters(landmark.lat, landmark.lng, stop.lat, stop.lng) }))
+      .sort((a, b) => a.distance - b.distance);
+
+    const stops = linked.length > 0 ? linked : this.findNearbyStops(landmark.lat, landmark.lng, radiusMeters);
+    return stops.slice(0, limit);
+  }
+
+  /**
+   * Find stop ID(s) from name query with fuzzy matching (one stop of a
+   * station stands for all of it, see getStationStopIds)
    * @param {string} query - User search query
    * @returns {string|null} - Stop ID or null if not found
    */
@@ -136,14 +422,21 @@ class StopMatcher {
       }
     }
 
-    return null;
+    // 5. Phonetic or typo-tolerant match
+    let best = null;
+    for (const [id, score] of this.findFuzzyMatches(norm)) {
+      if (!this.idToStop.has(id)) continue;  // Landmark
+      if (!best || score > best.score) best = { id, score };
+    }
+
+    return best ? best.id : null;
   }
 
   /**
-   * Search for stops matching query - returns multiple matches
+   * Search for stops (and landmarks) matching query - returns multiple matches
    * @param {string} query
    * @param {number} limit - Max results to return
-   * @returns {Array<Object>} - Array of stop objects
+   * @returns {Array<Object>} - Array of stop objects and landmark places (type 'landmark')
    */
   search(query, limit = 10) {
     if (!query || !this.isInitialized) return [];
@@ -161,15 +454,15 @@ class StopMatcher {
     const PARTIAL = 30;
 
     // Exact matches
-    if (this.nameToIds.has(norm)) {
-      for (const id of this.nameToIds.get(norm)) {
+    for (const index of [this.landmarkNames, this.nameToIds]) {
+      for (const id of index.get(norm) || []) {
         results.add(id);
         scores.set(id, EXACT_MATCH);
       }
     }
 
     // Starts with matches
-    for (const [name, ids] of this.nameToIds.entries()) {
+    for (const [name, ids] of this.getSearchNames()) {
       if (name.startsWith(norm)) {
         for (const id of ids) {
           if (!results.has(id)) {
@@ -182,7 +475,7 @@ class StopMatcher {
 
     // Contains matches (if we need more results)
     if (results.size < limit) {
-      for (const [name, ids] of this.nameToIds.entries()) {
+      for (const [name, ids] of this.getSearchNames()) {
         if (name.includes(norm)) {
           for (const id of ids) {
             if (!results.has(id)) {
@@ -196,7 +489,7 @@ class StopMatcher {
 
     // Reverse match (query contains name) - for longer queries
     if (results.size < limit && norm.length > 5) {
-      for (const [name, ids] of this.nameToIds.entries()) {
+      for (const [name, ids] of this.getSearchNames()) {
         if (norm.includes(name) && name.length > 3) {
           for (const id of ids) {
             if (!results.has(id)) {
@@ -208,10 +501,21 @@ class StopMatcher {
       }
     }
 
-    // Convert to stop objects and sort by score
+    // Phonetic and typo-tolerant matches (other romanizations, misspellings,
+    // Latin queries for Myanmar names) - may also raise a weaker score above.
+    // Always looked for: a few weak substring hits must not hide a name that
+    // sounds right
+    for (const [id, score] of this.findFuzzyMatches(norm)) {
+      if (!results.has(id) || scores.get(id) < score) {
+        results.add(id);
+        scores.set(id, score);
+      }
+    }
+
+    // Convert to stop objects (or landmark places) and sort by score
     const stopResults = Array.from(results)
       .map(id => ({
-        ...this.getStopById(id),
+        ...this.getPlaceById(id),
         matchScore: scores.get(id) || 0
       }))
       .filter(stop => stop.id) // Filter out null stops
@@ -221,6 +525,199 @@ class StopMatcher {
     return stopResults;
   }
 
+  /**
+   * Search, listing each station once: its platforms are merged into one
+   * entry (the station's first stop, with type 'station', its stopIds and
+   * the best score of any platform)
+   * @param {string} query
+   * @param {number} limit - Max results to return
+   * @returns {Array<Object>} - Stops, stations and landmarks
+   */
+  searchStations(query, limit = 10) {
+    const results = [];
+    const seen = new Set();
+
+    // Platforms of one station take several slots of the raw search
+    for (const place of this.search(query, limit * 3)) {
+      const station = place.type === 'landmark' ? null : this.getStation(place.id);
+      const key = station ? station.id : place.id;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      results.push(station
+        ? { ...this.getStopById(station.id), type: 'station', stopIds: station.stopIds, matchScore: place.matchScore }
+        : place);
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+
+  /**
+   * Indexed landmark and stop names (landmarks first, so they win ties)
+   * @returns {Iterable<Array>} - [normalizedName, ids] entries
+   */
+  *getSearchNames() {
+    yield* this.landmarkNames.entries();
+    yield* this.nameToIds.entries();
+  }
+
+  /**
+   * Phonetic key of a name or query (its transliteration, if in Myanmar script)
+   * @param {string} text
+   * @returns {string}
+   */
+  getPhoneticKey(text) {
+    if (this.myanmarText) return this.myanmarText.phoneticKey(text);
+    return this.normalize(text).replace(/\s+/g, '');
+  }
+
+  /**
+   * Trigrams of a phonetic key, padded at the start only (so a key's
+   * prefixes share its trigrams)
+   * @param {string} key
+   * @returns {Array<string>}
+   */
+  getGrams(key) {
+    const padded = `  ${key}`;
+    const grams = [];
+    for (let i = 0; i < key.length; i++) {
+      grams.push(padded.slice(i, i + 3));
+    }
+    return grams;
+  }
+
+  /**
+   * Build the phonetic key and trigram indexes from the English names and the
+   * transliterated Myanmar names of stops and landmarks
+   */
+  buildFuzzyIndex() {
+    const startTime = performance.now();
+    this.keyToIds = new Map();
+    this.gramToKeys = new Map();
+
+    const places = [];
+    for (const [id, stop] of this.idToStop) {
+      places.push([id, stop.name_mm ? [stop.name_en, stop.name_mm] : [stop.name_en]]);
+    }
+    for (const [id, landmark] of this.landmarks) {
+      places.push([id, this.getLandmarkNames(landmark)]);
+    }
+
+    for (const [id, names] of places) {
+      for (const name of names) {
+        const key = this.getPhoneticKey(name);
+        if (key.length < 3) continue;
+        if (!this.keyToIds.has(key)) this.keyToIds.set(key, []);
+        const ids = this.keyToIds.get(key);
+        if (!ids.includes(id)) ids.push(id);
+      }
+    }
+
+    for (const key of this.keyToIds.keys()) {
+      for (const gram of new Set(this.getGrams(key))) {
+        if (!this.gramToKeys.has(gram)) this.gramToKeys.set(gram, []);
+        this.gramToKeys.get(gram).push(key);
+      }
+    }
+
+    console.log(`[StopMatcher] Built fuzzy index (${this.keyToIds.size} keys) in ${(performance.now() - startTime).toFixed(2)}ms`);
+  }
+
+  /**
+   * Stops whose names sound like the query or are a few typos away from it
+   * @param {string} query
+   * @returns {Map<string, number>} - stop or landmark ID → matchScore (below substring matches
+   *   of the exact spelling, except for identical phonetic keys)
+   */
+  findFuzzyMatches(query) {
+    const PHONETIC_MATCH = 70;   // Same key: another romanization of the name
+    const PHONETIC_PREFIX = 60;  // Key starts with the query's key
+    const FUZZY_MATCH = 40;      // Key within maxEdits edits (-10 per extra edit)
+    const FUZZY_PREFIX = 35;     // Key prefix within maxEdits edits (-10 per extra edit)
+
+    const matches = new Map();
+    if (!this.isInitialized) return matches;
+    if (!this.keyToIds) this.buildFuzzyIndex();
+
+    const key = this.getPhoneticKey(query);
+    if (key.length < 3) return matches;
+    const maxEdits = key.length < 4 ? 0 : key.length < 7 ? 1 : 2;
+
+    // Candidates share enough trigrams (one edit changes at most 3, a swap 4)
+    const grams = this.getGrams(key);
+    const shared = new Map();
+    for (const gram of new Set(grams)) {
+      for (const candidate of this.gramToKeys.get(gram) || []) {
+        shared.set(candidate, (shared.get(candidate) || 0) + 1);
+      }
+    }
+    const minShared = Math.max(1, new Set(grams).size - 4 * maxEdits);
+
+    for (const [candidate, count] of shared) {
+      if (count < minShared) continue;
+
+      let score = null;
+      if (candidate === key) {
+        score = PHONETIC_MATCH;
+      } else if (candidate.startsWith(key)) {
+        score = PHONETIC_PREFIX;
+      } else {
+        const distance = this.getEditDistance(key, candidate, maxEdits);
+        const prefixDistance = this.getEditDistance(key, candidate.slice(0, key.length), maxEdits);
+        if (distance <= maxEdits) {
+          score = FUZZY_MATCH - 10 * (distance - 1);
+        } else if (prefixDistance <= maxEdits) {
+          score = FUZZY_PREFIX - 10 * (prefixDistance - 1);
+        }
+      }
+      if (score === null) continue;
+
+      for (const id of this.keyToIds.get(candidate)) {
+        if (!matches.has(id) || matches.get(id) < score) matches.set(id, score);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Edit distance counting a swap of adjacent letters as one edit (optimal
+   * string alignment: "hledna" is 1 from "hledan"), giving up once it
+   * exceeds a limit
+   * @param {string} a
+   * @param {string} b
+   * @param {number} limit
+   * @returns {number} - Distance, or limit + 1 if larger than limit
+   */
+  getEditDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (beforePrevious && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      // A swap can still lower the next row below this one's minimum
+      if (rowMin > limit && Math.min(...previous) > limit) return limit + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return Math.min(previous[b.length], limit + 1);
+  }
+
   /**
    * Find all stops with exact or similar names (for handling duplicates)
    * @param {string} name
@@ -245,6 +742,63 @@ class StopMatcher {
     return similar;
   }
 
+  /**
+   * Find stops within a radius of a location
+   * @param {number} lat
+   * @param {number} lng
+   * @param {number} radiusMeters
+   * @returns {Array<Object>} - [{ stop, distance }] sorted by distance (m)
+   */
+  findNearbyStops(lat, lng, radiusMeters) {
+    if (!this.isInitialized || !Number.isFinite(lat) || !Number.isFinite(lng)) return [];
+
+    // Grid cells to scan (1° latitude ≈ 111km; longitude shrinks with cos(lat))
+    const latSpan = radiusMeters / 111320;
+    const lngSpan = radiusMeters / (111320 * Math.cos(lat * Math.PI / 180));
+    const minLatCell = Math.floor((lat - latSpan) / this.gridCellSize);
+    const maxLatCell = Math.floor((lat + latSpan) / this.gridCellSize);
+    const minLngCell = Math.floor((lng - lngSpan) / this.gridCellSize);
+    const maxLngCell = Math.floor((lng + lngSpan) / this.gridCellSize);
+
+    const nearby = [];
+    for (let latCell = minLatCell; latCell <= maxLatCell; latCell++) {
+      for (let lngCell = minLngCell; lngCell <= maxLngCell; lngCell++) {
+        const ids = this.spatialGrid.get(this.getGridKey(latCell, lngCell));
+        if (!ids) continue;
+
+        for (const id of ids) {
+          const stop = this.idToStop.get(id);
+          const distance = this.getDistanceMeters(lat, lng, stop.lat, stop.lng);
+          if (distance <= radiusMeters) {
+            nearby.push({ stop, distance });
+          }
+        }
+      }
+    }
+
+    return nearby.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * Straight-line distance between two coordinates (Haversine formula)
+   * @param {number} lat1
+   * @param {number} lng1
+   * @param {number} lat2
+   * @param {number} lng2
+   * @returns {number} - Distance in meters
+   */
+  getDistanceMeters(lat1, lng1, lat2, lng2) {
+    const R = 6371000; // Earth's radius in m
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lng2 - lng1) * Math.PI / 180;
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+             Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+             Math.sin(dLon/2) * Math.sin(dLon/2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  }
+
   /**
    * Get all stops
    * @returns {Array<Object>}
@@ -261,9 +815,67 @@ class StopMatcher {
     return {
       totalStops: this.stops.length,
       uniqueNames: this.nameToIds.size,
+      stations: this.stations.size,
+      landmarks: this.landmarks.size,
+      amenities: this.amenities.size,
       isInitialized: this.isInitialized
     };
   }
+
+  /**
+   * Version of the name normalization (cached name indexes must match it)
+   * @returns {number} - 0 without Myanmar normalization
+   */
+  getTextVersion() {
+    return this.myanmarText ? this.myanmarText.version : 0;
+  }
+
+  /**
+   * Export the name index and spatial grid (e.g. for the network bundle)
+   * @returns {Object}
+   */
+  exportForCache() {
+    return {
+      textVersion: this.getTextVersion(),
+      nameToIds: Array.from(this.nameToIds.entries()),
+      spatialGrid: Array.from(this.spatialGrid.entries())
+    };
+  }
+
+  /**
+   * Initialize from stops data and a prebuilt index, without re-indexing names
+   * @param {Object} stopsData - Same stops the index was built from
+   * @param {Object} cachedData - Output of exportForCache()
+   * @returns {boolean} - false if the cached data is incomplete (use initialize())
+   */
+  importFromCache(stopsData, cachedData) {
+    if (!cachedData || !cachedData.nameToIds || !cachedData.spatialGrid) {
+      console.warn('[StopMatcher] Cached index is incomplete, ignoring it');
+      return false;
+    }
+    if (cachedData.textVersion !== this.getTextVersion()) {
+      console.warn('[StopMatcher] Cached index uses another name normalization, ignoring it');
+      return false;
+    }
+
+    this.idToStop.clear();
+    this.stops = [];
+    for (const [id, stop] of Object.entries(stopsData)) {
+      if (!stop || !stop.name_en) continue;
+      this.idToStop.set(id, stop);
+      this.stops.push(stop);
+    }
+
+    this.nameToIds = new Map(cachedData.nameToIds);
+    this.spatialGrid = new Map(cachedData.spatialGrid);
+    this.keyToIds = null;
+    this.gramToKeys = null;
+    this.buildStations();
+
+    this.isInitialized = true;
+    console.log(`[StopMatcher] Imported ${this.stops.length} stops from cache`);
+    return true;
+  }
 }
 
 // Export as singleton instance
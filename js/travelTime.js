@@ -0,0 +1,206 @@
+/**
+ * TravelTimeModel - Duration estimates for journeys
+ *
+ * Model:
+ * - In-vehicle time from leg distance and an average bus speed
+ *   (optionally overridden per road or township, scaled per time-of-day band)
+ * - Dwell time at every stop the bus serves along the leg
+ * - Expected wait when boarding (half the headway when a schedule is known),
+ *   plus a penalty for each transfer
+ * - Walking time at walking speed
+ *
+ * Usage:
+ * const timeModel = new TravelTimeModel({ averageSpeedKmh: 16 });
+ * timeModel.annotatePath(path, new Date(), serviceSchedule);
+ * console.log(path.durationMinutes);
+ */
+
+class TravelTimeModel {
+  constructor(config = {}) {
+    this.config = {
+      averageSpeedKmh: 18,          // Typical YBS speed incl. traffic
+      walkSpeedKmh: 4.5,            // Walking speed
+      dwellSeconds: 30,             // Time spent at each stop served
+      waitMinutes: 8,               // Expected wait for a bus (no schedule data)
+      transferPenaltyMinutes: 3,    // Extra time/effort per transfer
+      speedByRoad: {},              // road_en → km/h (e.g. { "Pyay Road": 14 })
+      speedByTownship: {},          // township_en → km/h
+      timeBands: [                  // Speed multipliers by time of day
+        { start: '07:00', end: '09:30', speedFactor: 0.7 },
+        { start: '16:30', end: '19:00', speedFactor: 0.7 }
+      ],
+      ...config
+    };
+  }
+
+  /**
+   * Annotate a path (and its legs) with durationMinutes
+   * @param {Object} path - Path object from PathFinder
+   * @param {Date} [departureTime] - Used for time-of-day speed bands
+   * @param {ServiceSchedule} [schedule] - Service hours/headways for waits
+   * @returns {Object} - The same path, annotated
+   */
+  annotatePath(path, departureTime = null, schedule = null) {
+    let clock = departureTime ? new Date(departureTime) : null;
+    let busLegCount = 0;
+
+    for (const leg of path.legs) {
+      if (leg.type === 'walk') {
+        this.annotateWalkLeg(leg);
+      } else {
+        this.annotateBusLeg(leg, clock, busLegCount > 0, schedule);
+        busLegCount++;
+      }
+
+      if (clock) {
+        clock = new Date(clock.getTime() + leg.durationMinutes * 60000);
+      }
+    }
+
+    path.durationMinutes = path.legs.reduce((sum, leg) => sum + leg.durationMinutes, 0);
+    path.outOfService = path.legs.some(leg => leg.isRunning === false);
+    if (departureTime) {
+      path.departureTime = new Date(departureTime).toISOString();
+      path.arrivalTime = clock.toISOString();
+    }
+    return path;
+  }
+
+  /**
+   * Annotate a walk leg with durationMinutes
+   * @param {Object} leg
+   */
+  annotateWalkLeg(leg) {
+    const km = (leg.walkDistance || 0) / 1000;
+    leg.durationMinutes = Math.round(km / this.config.walkSpeedKmh * 60);
+  }
+
+  /**
+   * Annotate a bus leg with waitMinutes, rideMinutes and durationMinutes
+   * (plus headwayMinutes / isRunning when a schedule is given)
+   * @param {Object} leg
+   * @param {Date|null} boardTime - Clock time at the stop (null = no time bands)
+   * @param {boolean} isTransfer - Whether this bus is boarded after another bus
+   * @param {ServiceSchedule} [schedule]
+   */
+  annotateBusLeg(leg, boardTime, isTransfer, schedule = null) {
+    let waitMinutes = this.config.waitMinutes;
+
+    // Schedules are by route key (leg.route): branches sharing a route_id keep their own hours
+    if (schedule && boardTime && leg.route && schedule.hasSchedule(leg.route)) {
+      const untilService = schedule.getMinutesUntilService(leg.route, boardTime);
+      leg.isRunning = untilService !== null;
+
+      if (untilService > 0) {
+        // Waiting for the first bus of the day
+        waitMinutes = untilService;
+      } else if (untilService === 0) {
+        leg.headwayMinutes = schedule.getHeadway(leg.route, boardTime);
+        const expectedWait = schedule.getExpectedWait(leg.route, boardTime);
+        if (expectedWait !== null) waitMinutes = expectedWait;
+      }
+    }
+
+    waitMinutes += isTransfer ? this.config.transferPenaltyMinutes : 0;
+    const rideMinutes = this.estimateRideMinutes(leg, boardTime && new Date(boardTime.getTime() + waitMinutes * 60000));
+
+    leg.waitMinutes = Math.round(waitMinutes);
+    leg.rideMinutes = Math.round(rideMinutes);
+    leg.durationMinutes = leg.waitMinutes + leg.rideMinutes;
+  }
+
+  /**
+   * Estimate in-vehicle minutes for a bus leg
+   * The leg distance is split across stop-to-stop segments (by straight-line
+   * length) so road/township speed overrides apply to the right stretch.
+   * @param {Object} leg
+   * @param {Date|null} boardTime
+   * @returns {number}
+   */
+  estimateRideMinutes(leg, boardTime) {
+    const stops = leg.stops || [];
+    const factor = this.getTimeBandFactor(boardTime);
+    const dwellMinutes = (leg.stopCount || 0) * this.config.dwellSeconds / 60;
+
+    // Segment lengths between consecutive stops
+    const segments = [];
+    for (let i = 1; i < stops.length; i++) {
+      segments.push({ stop: stops[i - 1], length: this.straightLineKm(stops[i - 1], stops[i]) });
+    }
+
+    const totalLength = segments.reduce((sum, seg) => sum + seg.length, 0);
+    if (totalLength === 0) {
+      return leg.distance / (this.config.averageSpeedKmh * factor) * 60 + dwellMinutes;
+    }
+
+    let driveMinutes = 0;
+    for (const seg of segments) {
+      const km = leg.distance * (seg.length / totalLength);
+      driveMinutes += km / (this.getSpeed(seg.stop) * factor) * 60;
+    }
+
+    return driveMinutes + dwellMinutes;
+  }
+
+  /**
+   * Bus speed for a segment starting at a stop
+   * @param {Object} stop - Stop object (road_en / township_en)
+   * @returns {number} - km/h
+   */
+  getSpeed(stop) {
+    const { speedByRoad, speedByTownship, averageSpeedKmh } = this.config;
+
+    if (stop.road_en && speedByRoad[stop.road_en]) return speedByRoad[stop.road_en];
+    if (stop.township_en && speedByTownship[stop.township_en]) return speedByTownship[stop.township_en];
+    return averageSpeedKmh;
+  }
+
+  /**
+   * Speed multiplier for the time-of-day band containing a time
+   * @param {Date|null} time
+   * @returns {number}
+   */
+  getTimeBandFactor(time) {
+    if (!time) return 1;
+
+    const minutes = time.getHours() * 60 + time.getMinutes();
+    const band = this.config.timeBands.find(b =>
+      minutes >= this.parseClock(b.start) && minutes < this.parseClock(b.end)
+    );
+
+    return band ? band.speedFactor : 1;
+  }
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   * @param {string} clock
+   * @returns {number}
+   */
+  parseClock(clock) {
+    const [hours, minutes] = String(clock).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Straight-line distance between two stops (Haversine formula)
+   * @param {Object} stop1
+   * @param {Object} stop2
+   * @returns {number} - Distance in km
+   */
+  straightLineKm(stop1, stop2) {
+    const R = 6371; // Earth's radius in km
+    const dLat = (stop2.lat - stop1.lat) * Math.PI / 180;
+    const dLon = (stop2.lng - stop1.lng) * Math.PI / 180;
+
+    const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
+             Math.cos(stop1.lat * Math.PI / 180) * Math.cos(stop2.lat * Math.PI / 180) *
+             Math.sin(dLon/2) * Math.sin(dLon/2);
+
+    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TravelTimeModel;
+}
@@ -0,0 +1,257 @@
+/**
+ * Service worker - Offline support for the YBS pages
+ *
+ * Caches:
+ * - ybs-shell-v<N>: HTML pages, js/*.js, manifest and icons (plus Leaflet and
+ *   Chart.js from their CDNs). Served from the cache and refreshed in the
+ *   background (stale-while-revalidate). Bump SHELL_VERSION when files are
+ *   added or removed.
+ * - ybs-data-<hash>: stops.tsv, the index files, landmarks.tsv,
+ *   stop-amenities.tsv, fares.json, version.json, the network bundle and every
+ *   route and schedule file, keyed by a hash of stops.tsv + routes-index.json +
+ *   schedules-index.json + landmarks.tsv + stop-amenities.tsv + fares.json +
+ *   version.json.
+ *   version.json holds the hash of every source file and the bundle format
+ *   version (written by tools/build-bundle.js), so an edited route or
+ *   schedule file or a bundle in a new format changes the key too.
+ *   Served cache-first. On page loads (at most every CHECK_INTERVAL_MS) the
+ *   index files are fetched from the network; when the hash changes the whole
+ *   dataset is downloaded into a new cache, swapped in once complete, and the
+ *   pages are told with a { type: 'data-updated' } message.
+ *
+ * Map tiles are not cached; pages fall back to a tile-less map offline.
+ */
+
+importScripts('js/dataLoader.js');  // dataLoader.hashText, dataLoader.fetchInBatches
+
+const SHELL_VERSION = 5;
+const SHELL_CACHE = `ybs-shell-v${SHELL_VERSION}`;
+const DATA_CACHE_PREFIX = 'ybs-data-';
+const META_CACHE = 'ybs-meta';
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'journey-planner.html',
+  'route-map.html',
+  'visualize-data.html',
+  'gallery.html',
+  'summary-report.html',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'js/autocomplete.js',
+  'js/dataLoader.js',
+  'js/fares.js',
+  'js/geometry.js',
+  'js/journeyShare.js',
+  'js/journeyUI.js',
+  'js/myanmarText.js',
+  'js/networkBundle.js',
+  'js/offlineSupport.js',
+  'js/pathfinder.js',
+  'js/pathfinderClient.js',
+  'js/pathfinderWorker.js',
+  'js/routeIndex.js',
+  'js/savedJourneys.js',
+  'js/serviceSchedule.js',
+  'js/stopMatcher.js',
+  'js/travelTime.js'
+];
+
+const CDN_FILES = [
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.css',
+  'https://unpkg.com/leaflet@1.9.4/dist/leaflet.js',
+  'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js'
+];
+
+const DATA_INDEX_FILES = ['data/stops.tsv', 'data/routes-index.json', 'data/schedules-index.json', 'data/landmarks.tsv',
+  'data/stop-amenities.tsv', 'data/fares.json', 'data/version.json'];
+const OPTIONAL_INDEX_FILES = ['data/schedules-index.json', 'data/landmarks.tsv', 'data/stop-amenities.tsv',
+  'data/fares.json', 'data/version.json'];
+const DATA_BUNDLE_FILE = 'data/network-bundle.json';  // Optional
+
+let currentDataCache = null;   // Name of the complete data cache in use
+let lastCheck = 0;             // Time of the last dataset check
+let refreshing = null;         // Promise of a running dataset refresh
+
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_FILES);
+
+    // CDN files are optional: the pages still load them from the network
+    await Promise.allSettled(CDN_FILES.map(url => cache.add(new Request(url, { mode: 'cors' }))));
+
+    await refreshData(false);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('ybs-shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (CDN_FILES.includes(url.href)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) return;  // Map tiles and other sites
+
+  const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+  if (path.startsWith('data/')) {
+    event.respondWith(serveData(request));
+    // Pages load either the bundle or stops.tsv first
+    if (path === DATA_BUNDLE_FILE || path === 'data/stops.tsv') event.waitUntil(checkForDataUpdate());
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event, request));
+});
+
+/**
+ * Shell files: cached copy now, network copy for next time
+ */
+async function staleWhileRevalidate(event, request) {
+  const cache = await caches.open(SHELL_CACHE);
+  // Pages are cached without their query string (e.g. shared journey links)
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+
+  const update = fetch(request).then(response => {
+    if (response.ok) {
+      const key = request.mode === 'navigate' ? new Request(request.url.split('?')[0]) : request;
+      return cache.put(key, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+  return update;
+}
+
+/**
+ * Cache-first, storing network responses
+ */
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) await cache.put(request, response.clone());
+  return response;
+}
+
+/**
+ * Data files: from the current data cache, otherwise the network
+ */
+async function serveData(request) {
+  const cacheName = await getCurrentDataCache();
+  if (cacheName) {
+    const cached = await (await caches.open(cacheName)).match(request, { ignoreSearch: true });
+    if (cached) return cached;
+  }
+  return fetch(request);
+}
+
+/**
+ * Name of the data cache in use (remembered across service worker restarts)
+ * @returns {Promise<string|null>}
+ */
+async function getCurrentDataCache() {
+  if (currentDataCache) return currentDataCache;
+
+  const meta = await (await caches.open(META_CACHE)).match('current-data');
+  currentDataCache = meta ? await meta.text() : null;
+  return currentDataCache;
+}
+
+/**
+ * Check for a new dataset, at most every CHECK_INTERVAL_MS
+ */
+async function checkForDataUpdate() {
+  if (Date.now() - lastCheck < CHECK_INTERVAL_MS) return;
+  lastCheck = Date.now();
+
+  try {
+    await refreshData(true);
+  } catch (error) {
+    console.log('[ServiceWorker] Dataset check failed (offline?):', error.message);
+  }
+}
+
+/**
+ * Download the dataset into a new cache if its hash changed
+ * @param {boolean} notify - Tell open pages when a new dataset is in place
+ */
+function refreshData(notify) {
+  if (!refreshing) {
+    refreshing = downloadData(notify).finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+async function downloadData(notify) {
+  const texts = await Promise.all(DATA_INDEX_FILES.map(async file => {
+    const response = await fetch(file, { cache: 'no-store' });
+    if (response.ok) return response.text();
+    if (OPTIONAL_INDEX_FILES.includes(file)) return null;
+    throw new Error(`${file}: HTTP ${response.status}`);
+  }));
+
+  const cacheName = DATA_CACHE_PREFIX + dataLoader.hashText(...texts.map(text => text || ''));
+  const previous = await getCurrentDataCache();
+  if (cacheName === previous) return;
+
+  console.log(`[ServiceWorker] Downloading dataset ${cacheName}`);
+  const cache = await caches.open(cacheName);
+
+  const [, routesIndexText, schedulesIndexText] = texts;
+  const files = [DATA_BUNDLE_FILE]
+    .concat(Object.values(JSON.parse(routesIndexText)).flat().map(file => `data/routes/${file}`))
+    .concat(schedulesIndexText
+      ? Object.values(JSON.parse(schedulesIndexText)).flat().map(file => `data/schedules/${file}`)
+      : []);
+
+  // Missing files (the bundle, or listed in the index but not published) are skipped
+  await dataLoader.fetchInBatches(files, async file => {
+    const response = await fetch(file, { cache: 'no-store' });
+    if (response.ok) await cache.put(file, response);
+  });
+
+  await Promise.all(DATA_INDEX_FILES.map((file, i) => texts[i] === null ? null :
+    cache.put(file, new Response(texts[i], {
+      headers: { 'Content-Type': file.endsWith('.json') ? 'application/json' : 'text/tab-separated-values' }
+    }))));
+
+  // Swap in the complete dataset, then drop the old ones
+  await (await caches.open(META_CACHE)).put('current-data', new Response(cacheName));
+  currentDataCache = cacheName;
+
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter(name => name.startsWith(DATA_CACHE_PREFIX) && name !== cacheName)
+    .map(name => caches.delete(name)));
+
+  console.log(`[ServiceWorker] Dataset ${cacheName} ready (${files.length} files)`);
+
+  if (notify && previous) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'data-updated', version: cacheName }));
+  }
+}
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Build Bundle - Compile the dataset into data/network-bundle.json
+ *
+ * The pages load the bundle (one compact file, with the StopMatcher and
+ * RouteIndex tables prebuilt) instead of stops.tsv and every route file;
+ * see js/networkBundle.js for the format. They fall back to the raw files
+ * when the bundle is missing, so it is safe to delete.
+ *
+ * Run it after editing anything in data/ (validate-data.js warns when the
+ * bundle is out of date). Files listed in routes-index.json that are missing
+ * or invalid are left out, as the pages do.
+ *
+ * It also writes data/version.json ({ "sourceHash": "...", "bundleVersion": 2 }),
+ * a small manifest the dataset cache and the service worker key on so that
+ * edited route and schedule files, and bundles in a new format, reach clients
+ * without fetching them all.
+ *
+ * Usage:
+ *   node tools/build-bundle.js [--data data] [--out data/network-bundle.json]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { loadDataset } = require('./lib/dataset');
+const dataLoader = require('../js/dataLoader.js');
+const stopMatcher = require('../js/stopMatcher.js');
+const myanmarText = require('../js/myanmarText.js');
+const routeIndex = require('../js/routeIndex.js');
+const networkBundle = require('../js/networkBundle.js');
+
+const BUNDLE_FILE = 'network-bundle.json';
+const VERSION_FILE = 'version.json';
+
+/**
+ * Hash of every source file the bundle is built from (index files, landmarks,
+ * stop amenities and fares, then route and schedule files in index order)
+ * @param {string} dataDir
+ * @returns {string}
+ */
+function hashSources(dataDir) {
+  const read = (file) => {
+    const filePath = path.join(dataDir, file);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  };
+
+  const routesIndexText = read('routes-index.json');
+  const schedulesIndexText = read('schedules-index.json');
+  const files = Object.values(JSON.parse(routesIndexText)).flat().map(file => `routes/${file}`)
+    .concat(schedulesIndexText
+      ? Object.values(JSON.parse(schedulesIndexText)).flat().map(file => `schedules/${file}`)
+      : []);
+
+  return dataLoader.hashText(read('stops.tsv'), routesIndexText, schedulesIndexText, read('landmarks.tsv'),
+    read('stop-amenities.tsv'), read('fares.json'), ...files.map(read));
+}
+
+/**
+ * Build the bundle for a data directory
+ * @param {string} dataDir
+ * @returns {Promise<Object>} - { bundle, dataset }
+ */
+async function buildBundle(dataDir) {
+  const dataset = loadDataset(dataDir);
+
+  // Index Myanmar names the way the pages normalize them
+  stopMatcher.myanmarText = myanmarText;
+
+  // Keep the site modules quiet while indexing
+  const log = console.log;
+  console.log = () => {};
+  try {
+    stopMatcher.initialize(dataset.stopsData);
+    await routeIndex.initialize(dataset.routes, dataset.stopsData, stopMatcher);
+  } finally {
+    console.log = log;
+  }
+
+  const bundle = networkBundle.encode({
+    stopsData: dataset.stopsData,
+    routes: dataset.routes,
+    routesIndex: dataset.routesIndex,
+    schedules: dataset.schedules,
+    landmarks: dataset.landmarks,
+    amenities: dataset.amenities,
+    fares: dataset.fares,
+    sourceHash: hashSources(dataDir),
+    stopMatcherCache: stopMatcher.exportForCache(),
+    routeIndexCache: routeIndex.exportForCache()
+  });
+
+  return { bundle, dataset };
+}
+
+/**
+ * Total size of the files the pages load without the bundle
+ * @param {string} dataDir
+ * @param {Object} dataset
+ * @returns {number} - Bytes
+ */
+function getRawSize(dataDir, dataset) {
+  const files = ['stops.tsv', 'routes-index.json', 'schedules-index.json']
+    .concat(dataset.routes.map(route => `routes/${route.file}`));
+
+  return files.reduce((total, file) => {
+    const filePath = path.join(dataDir, file);
+    return total + (fs.existsSync(filePath) ? fs.statSync(filePath).size : 0);
+  }, 0);
+}
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const dataDir = option('--data', 'data');
+  const outFile = option('--out', path.join(dataDir, BUNDLE_FILE));
+
+  buildBundle(dataDir).then(({ bundle, dataset }) => {
+    for (const file of dataset.missingFiles) {
+      console.warn(`[BuildBundle] Listed in index but missing: ${file} (skipped)`);
+    }
+    for (const { file, error } of dataset.invalidFiles) {
+      console.warn(`[BuildBundle] Invalid JSON in ${file}: ${error} (skipped)`);
+    }
+
+    const json = JSON.stringify(bundle);
+    fs.writeFileSync(outFile, json);
+    fs.writeFileSync(path.join(path.dirname(outFile), VERSION_FILE),
+      JSON.stringify({ sourceHash: bundle.sourceHash, bundleVersion: bundle.version }) + '\n');
+
+    const kb = (bytes) => `${(bytes / 1024).toFixed(0)} KB`;
+    console.log(`[BuildBundle] ${bundle.stops.length} stops, ${bundle.routes.length} routes, ` +
+      `${bundle.routeIndex.patterns.length} patterns → ${outFile}`);
+    console.log(`[BuildBundle] ${kb(Buffer.byteLength(json))} (${kb(zlib.gzipSync(json).length)} gzipped), ` +
+      `raw files ${kb(getRawSize(dataDir, dataset))}`);
+  }).catch(error => {
+    console.error('[BuildBundle] Build failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildBundle, hashSources, BUNDLE_FILE, VERSION_FILE };
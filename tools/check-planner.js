@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Planner Checks - Searches and journeys on the real dataset that must keep working
+ *
+ * Loads data/ the way the journey planner does (StopMatcher with landmarks,
+ * RouteIndex, RouteGeometry, ServiceSchedule, fares, PathFinder) and runs known
+ * queries against it. Each check prints what it found; any failure makes the
+ * command exit with code 1 (for CI). Run it with validate-data.js after
+ * changing the search or the planner.
+ *
+ * Checks:
+ * - search-typo        "Hledna" (two letters swapped) finds Hledan first
+ * - service-hours      Route 15 Shwe Pauk Kan (scheduled until 20:30 on weekdays) is offered
+ *                      from Yone Shae to Mee Thet at noon but not at 22:30, and its
+ *                      schedule does not apply to the other route 15 branches
+ * - inferred-return    Route 61 has no published return run; the inferred one stops at the
+ *                      Yae Khae Saing platform across the road (212, not 210) and the
+ *                      journey from there is marked as inferred
+ * - time-budget        A search from Nat Sin to Zawana given 5 ms stops early (well under the
+ *                      ~0.4 s a full search takes) with the journeys found by then
+ * - options            Nat Sin (stop 1) to Zawana (367) at noon gives 8 options: paths along the
+ *                      same stops are folded, paths that only share a route with another are not
+ * - rerank             Re-ranking a search by least walking gives what a search by least
+ *                      walking gives, including journeys the first ranking left out
+ *
+ * Usage:
+ *   node tools/check-planner.js [--data data]
+ */
+
+const { loadDataset } = require('./lib/dataset');
+const myanmarText = require('../js/myanmarText.js');
+const stopMatcher = require('../js/stopMatcher.js');
+const routeIndex = require('../js/routeIndex.js');
+const routeGeometry = require('../js/geometry.js');
+const serviceSchedule = require('../js/serviceSchedule.js');
+const TravelTimeModel = require('../js/travelTime.js');
+const FareModel = require('../js/fares.js');
+const PathFinder = require('../js/pathfinder.js');
+
+const CHECKS = [
+  {
+    name: 'search-typo',
+    run({ stopMatcher }) {
+      const results = stopMatcher.search('Hledna', 5);
+      const names = results.map(stop => `${stop.name_en} (${stop.matchScore})`);
+      return {
+        passed: results.length > 0 && results[0].name_en === 'Hledan',
+        message: `"Hledna" → ${names.join(', ') || 'nothing'}`
+      };
+    }
+  },
+  {
+    name: 'service-hours',
+    run({ pathfinder, serviceSchedule }) {
+      const routeKey = '15-ShwePaukKan';
+      const usesRoute = paths => paths.filter(path => path.legs.some(leg => leg.route === routeKey)).length;
+      const search = (hours, minutes) => pathfinder.findAllPaths('1036', '830', {
+        departureTime: new Date(2026, 9, 21, hours, minutes)  // A Wednesday
+      });
+
+      const noon = usesRoute(search(12, 0));
+      const night = usesRoute(search(22, 30));
+      const otherBranch = serviceSchedule.hasSchedule('15-BoHmuBaHtoo');
+      return {
+        passed: noon > 0 && night === 0 && !otherBranch,
+        message: `${routeKey} in ${noon} paths at 12:00, ${night} at 22:30; ` +
+          `15-BoHmuBaHtoo ${otherBranch ? 'has' : 'has no'} schedule`
+      };
+    }
+  },
+  {
+    name: 'inferred-return',
+    run({ routeIndex, pathfinder }) {
+      const stops = routeIndex.getPatternStops('61|inbound');
+      const platform = stops.includes('212') && !stops.includes('210');
+      const paths = pathfinder.findAllPaths('212', '144', { departureTime: new Date(2026, 9, 21, 12, 0) });
+      const leg = paths.flatMap(path => path.legs).find(leg => leg.route === '61');
+      return {
+        passed: platform && Boolean(leg) && leg.inferred === true,
+        message: `61|inbound stops at ${platform ? '212' : '210'} for Yae Khae Saing; ` +
+          `212 → 144 ${leg ? `rides route 61${leg.inferred ? ' (marked inferred)' : ' (not marked inferred)'}` : 'does not ride route 61'}`
+      };
+    }
+  },
+  {
+    name: 'time-budget',
+    run({ pathfinder }) {
+      const startTime = performance.now();
+      const paths = pathfinder.findAllPaths('1', '367', { timeout: 5 });
+      const elapsed = performance.now() - startTime;
+      return {
+        passed: elapsed < 200,
+        message: `stopped after ${elapsed.toFixed(0)} ms with ${paths.length} paths`
+      };
+    }
+  },
+  {
+    name: 'options',
+    run({ pathfinder }) {
+      const paths = pathfinder.findAllPaths('1', '367', { departureTime: new Date(2026, 9, 21, 12, 0) });
+      const folded = paths.map(path => path.similarPaths.length);
+      return {
+        passed: paths.length === 8,
+        message: `${paths.length} options (expected 8), folding ${folded.join(', ')} similar paths`
+      };
+    }
+  },
+  {
+    name: 'rerank',
+    run({ pathfinder }) {
+      const signature = path => path.legs
+        .map(leg => leg.type === 'bus' ? `${leg.route}:${leg.boardStop.id}-${leg.alightStop.id}` : 'walk')
+        .join(' ');
+      const options = { departureTime: new Date(2026, 9, 21, 12, 0), maxPaths: 3 };
+
+      const first = pathfinder.findAllPaths('1', '367', options);
+      const shown = new Set(first.flatMap(path => [path, ...path.similarPaths]).map(signature));
+      const reranked = pathfinder.rerankLastSearch({ ...options, rankBy: 'walk' }).map(signature);
+      const searched = pathfinder.findAllPaths('1', '367', { ...options, rankBy: 'walk' }).map(signature);
+
+      const same = reranked.join(', ') === searched.join(', ');
+      const added = reranked.filter(path => !shown.has(path)).length;
+      return {
+        passed: same && added > 0,
+        message: `re-ranked by walk ${same ? 'matches' : 'differs from'} a search by walk; ` +
+          `${added} of ${reranked.length} paths were not in the first results`
+      };
+    }
+  }
+];
+
+/**
+ * Load a data directory into the planner's modules
+ * @param {string} dataDir
+ * @returns {Promise<Object>} - { dataset, stopMatcher, routeIndex, serviceSchedule, pathfinder }
+ */
+async function loadPlanner(dataDir) {
+  const dataset = loadDataset(dataDir);
+
+  // Keep the site modules quiet while loading
+  const log = console.log;
+  console.log = () => {};
+  try {
+    stopMatcher.myanmarText = myanmarText;  // The pages load it as a global
+    stopMatcher.initialize(dataset.stopsData);
+    stopMatcher.setLandmarks(dataset.landmarks);
+    stopMatcher.setAmenities(dataset.amenities);
+    await routeIndex.initialize(dataset.routes, dataset.stopsData, stopMatcher);
+    routeGeometry.initialize(routeIndex, stopMatcher);
+    serviceSchedule.initialize(dataset.schedules, routeIndex.routeData);
+  } finally {
+    console.log = log;
+  }
+
+  const pathfinder = new PathFinder(routeIndex, stopMatcher, {
+    timeModel: new TravelTimeModel(),
+    fareModel: new FareModel(dataset.fares || {}),
+    schedule: serviceSchedule,
+    geometry: routeGeometry
+  });
+
+  return { dataset, stopMatcher, routeIndex, serviceSchedule, pathfinder };
+}
+
+/**
+ * Run every check against a data directory
+ * @param {string} dataDir
+ * @returns {Promise<Array<Object>>} - [{ name, passed, message }]
+ */
+async function checkPlanner(dataDir) {
+  const context = await loadPlanner(dataDir);
+  const results = [];
+
+  for (const check of CHECKS) {
+    // The planner logs every search; only the outcome is of interest here
+    const { log, warn } = console;
+    console.log = () => {};
+    console.warn = () => {};
+    let result;
+    try {
+      result = await check.run(context);
+    } catch (error) {
+      result = { passed: false, message: `threw ${error.message}` };
+    } finally {
+      console.log = log;
+      console.warn = warn;
+    }
+    results.push({ name: check.name, ...result });
+  }
+
+  return results;
+}
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  checkPlanner(option('--data', 'data')).then(results => {
+    for (const { name, passed, message } of results) {
+      console.log(`${passed ? '✓' : '✗'} ${name}: ${message}`);
+    }
+
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`\n[CheckPlanner] ${results.length - failed} passed, ${failed} failed`);
+    process.exit(failed > 0 ? 1 : 0);
+  }).catch(error => {
+    console.error('[CheckPlanner] Checks failed to run:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkPlanner, loadPlanner, CHECKS };
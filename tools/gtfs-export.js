@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+/**
+ * GTFS Export - Write the YBS network as a GTFS static feed
+ *
+ * Reads stops.tsv, routes-index.json, routes/*.json and the optional
+ * schedules, and writes a zip with agency, stops, routes, trips, stop_times,
+ * calendar, frequencies, shapes and translations (Myanmar names).
+ *
+ * Trips:
+ * - Route files with fewer than 2 stops are skipped
+ * - One frequency-based trip per headway band of a route's schedule
+ * - Routes without a schedule get one trip over --service-hours at --headway
+ * - Stop times come from the travel-time model (speed, dwell) over the
+ *   distance along the route shape, as in PathFinder (straight line × 1.2
+ *   where the stops do not snap to the shape)
+ *
+ * Validation: the export stops with a non-zero exit code if any route
+ * references a stop ID missing from stops.tsv, and the generated tables are
+ * checked for dangling references before the zip is written.
+ *
+ * Usage:
+ *   node tools/gtfs-export.js [--data data] [--out ybs-gtfs.zip]
+ *     [--start YYYYMMDD] [--end YYYYMMDD] [--service-hours 05:30-21:00] [--headway 15]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeZip } = require('./lib/zip');
+const { toCsv } = require('./lib/csv');
+const { loadDataset } = require('./lib/dataset');
+const TravelTimeModel = require('../js/travelTime.js');
+const stopMatcher = require('../js/stopMatcher.js');
+const routeIndex = require('../js/routeIndex.js');
+const routeGeometry = require('../js/geometry.js');
+const serviceSchedule = require('../js/serviceSchedule.js');
+
+const DEFAULT_AGENCY = 'YRTA';
+const AGENCY_URL = 'https://aungphone-mm.github.io/ybs_bus/';
+const TIMEZONE = 'Asia/Yangon';
+const ROUTE_TYPE_BUS = 3;
+const DISTANCE_FACTOR = 1.2;  // Straight line → road distance where a stop is off the shape (as PathFinder)
+
+const SERVICES = {
+  WEEKDAY: { monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 0, sunday: 0 },
+  WEEKEND: { monday: 0, tuesday: 0, wednesday: 0, thursday: 0, friday: 0, saturday: 1, sunday: 1 },
+  DAILY: { monday: 1, tuesday: 1, wednesday: 1, thursday: 1, friday: 1, saturday: 1, sunday: 1 }
+};
+
+const COLUMNS = {
+  'agency.txt': ['agency_id', 'agency_name', 'agency_url', 'agency_timezone'],
+  'stops.txt': ['stop_id', 'stop_name', 'stop_lat', 'stop_lon'],
+  'routes.txt': ['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type', 'route_color', 'route_text_color'],
+  'trips.txt': ['route_id', 'service_id', 'trip_id', 'trip_headsign', 'shape_id'],
+  'stop_times.txt': ['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence'],
+  'calendar.txt': ['service_id', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday', 'start_date', 'end_date'],
+  'frequencies.txt': ['trip_id', 'start_time', 'end_time', 'headway_secs'],
+  'shapes.txt': ['shape_id', 'shape_pt_lat', 'shape_pt_lon', 'shape_pt_sequence'],
+  'translations.txt': ['table_name', 'field_name', 'language', 'translation', 'record_id']
+};
+
+/**
+ * Check that every stop referenced by a route exists
+ * @param {Object} dataset - Output of loadDataset()
+ * @returns {Array<string>} - Error messages
+ */
+function validateStopReferences(dataset) {
+  const errors = [];
+
+  for (const route of dataset.routes) {
+    for (const stopId of route.stops || []) {
+      if (!dataset.stopsData[String(stopId)]) {
+        errors.push(`${route.file}: stop ${stopId} is not in stops.tsv`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Index a dataset and snap its stops onto the route shapes
+ * @param {Object} dataset - Output of loadDataset()
+ * @returns {Promise<RouteGeometry>}
+ */
+async function buildGeometry(dataset) {
+  // Keep the site modules quiet while indexing
+  const log = console.log;
+  console.log = () => {};
+  try {
+    stopMatcher.initialize(dataset.stopsData);
+    await routeIndex.initialize(dataset.routes, dataset.stopsData, stopMatcher);
+    routeGeometry.initialize(routeIndex, stopMatcher);
+  } finally {
+    console.log = log;
+  }
+  return routeGeometry;
+}
+
+/**
+ * Build GTFS tables from a dataset
+ * @param {Object} dataset - Output of loadDataset()
+ * @param {Object} [options]
+ * @param {RouteGeometry} [options.geometry] - Initialized for the dataset (see buildGeometry);
+ *   without it stop-to-stop distances are straight line × DISTANCE_FACTOR
+ * @returns {Object} - file name → rows
+ */
+function exportGtfs(dataset, options = {}) {
+  const {
+    startDate = formatDate(new Date()),
+    endDate = formatDate(new Date(Date.now() + 365 * 24 * 60 * 60000)),
+    serviceHours = '05:30-21:00',
+    headwayMinutes = 15,
+    timeModel = new TravelTimeModel(),
+    geometry = null
+  } = options;
+
+  const tables = {};
+  for (const name of Object.keys(COLUMNS)) tables[name] = [];
+
+  // Schedules by route file (route_id can be shared by branches with other hours)
+  serviceSchedule.initialize(dataset.schedules, dataset.routes.map(route => [route.file, route]));
+  const agencies = new Set();
+  const usedStops = new Set();
+  const usedServices = new Set();
+
+  for (const route of dataset.routes) {
+    if (!Array.isArray(route.stops) || route.stops.length < 2) {
+      console.warn(`[GtfsExport] ${route.file} has fewer than 2 stops, skipped`);
+      continue;
+    }
+
+    const routeId = String(route.route_id);
+    const agencyId = route.agency_id || DEFAULT_AGENCY;
+    const stops = route.stops.map(id => dataset.stopsData[String(id)]);
+    agencies.add(agencyId);
+
+    tables['routes.txt'].push({
+      route_id: routeId,
+      agency_id: agencyId,
+      route_short_name: route.route_num,
+      route_long_name: route.name,
+      route_type: ROUTE_TYPE_BUS,
+      route_color: (route.color || '').toUpperCase(),
+      route_text_color: 'FFFFFF'
+    });
+
+    const coordinates = route.shape && route.shape.geometry ? route.shape.geometry.coordinates : [];
+    coordinates.forEach(([lng, lat], i) => {
+      tables['shapes.txt'].push({ shape_id: routeId, shape_pt_lat: lat, shape_pt_lon: lng, shape_pt_sequence: i + 1 });
+    });
+
+    const routeKey = geometry ? geometry.routeIndex.getRouteKey(route) : null;
+    const alongMeters = routeKey ? (from, to) => geometry.getAlongDistance(routeKey, from, to) : null;
+    const offsets = stopTimeOffsets(stops, timeModel, alongMeters);
+    const headsign = stops[stops.length - 1].name_en;
+    const bands = serviceBands(serviceSchedule.getSchedule(route.file), serviceHours, headwayMinutes);
+
+    bands.forEach((band, i) => {
+      const tripId = `${routeId}_${band.serviceId}_${i + 1}`;
+      usedServices.add(band.serviceId);
+
+      tables['trips.txt'].push({
+        route_id: routeId,
+        service_id: band.serviceId,
+        trip_id: tripId,
+        trip_headsign: headsign,
+        shape_id: coordinates.length > 1 ? routeId : ''
+      });
+
+      stops.forEach((stop, seq) => {
+        const time = formatGtfsTime(band.start * 60 + offsets[seq]);
+        tables['stop_times.txt'].push({
+          trip_id: tripId,
+          arrival_time: time,
+          departure_time: time,
+          stop_id: stop.id,
+          stop_sequence: seq + 1
+        });
+        usedStops.add(stop.id);
+      });
+
+      if (band.minutes) {
+        tables['frequencies.txt'].push({
+          trip_id: tripId,
+          start_time: formatGtfsTime(band.start * 60),
+          end_time: formatGtfsTime(band.end * 60),
+          headway_secs: Math.round(band.minutes * 60)
+        });
+      }
+    });
+  }
+
+  for (const agencyId of agencies) {
+    tables['agency.txt'].push({
+      agency_id: agencyId,
+      agency_name: agencyId,
+      agency_url: AGENCY_URL,
+      agency_timezone: TIMEZONE
+    });
+  }
+
+  for (const stopId of usedStops) {
+    const stop = dataset.stopsData[stopId];
+    tables['stops.txt'].push({
+      stop_id: stop.id,
+      stop_name: stop.name_en,
+      stop_lat: stop.lat,
+      stop_lon: stop.lng
+    });
+    if (stop.name_mm && stop.name_mm !== stop.name_en) {
+      tables['translations.txt'].push({
+        table_name: 'stops',
+        field_name: 'stop_name',
+        language: 'my',
+        translation: stop.name_mm,
+        record_id: stop.id
+      });
+    }
+  }
+
+  for (const serviceId of usedServices) {
+    tables['calendar.txt'].push({
+      service_id: serviceId,
+      ...SERVICES[serviceId],
+      start_date: startDate,
+      end_date: endDate
+    });
+  }
+
+  return tables;
+}
+
+/**
+ * Seconds from the first stop to each stop of a route
+ * @param {Array<Object>} stops
+ * @param {TravelTimeModel} timeModel
+ * @param {Function} [alongMeters] - (fromIndex, toIndex) → metres along the shape, or null
+ * @returns {Array<number>}
+ */
+function stopTimeOffsets(stops, timeModel, alongMeters = null) {
+  const offsets = [0];
+
+  for (let i = 1; i < stops.length; i++) {
+    const meters = alongMeters ? alongMeters(i - 1, i) : null;
+    const leg = {
+      stops: [stops[i - 1], stops[i]],
+      stopCount: 1,
+      distance: meters !== null
+        ? meters / 1000
+        : timeModel.straightLineKm(stops[i - 1], stops[i]) * DISTANCE_FACTOR
+    };
+    offsets.push(offsets[i - 1] + Math.round(timeModel.estimateRideMinutes(leg, null) * 60));
+  }
+
+  return offsets;
+}
+
+/**
+ * Headway bands to generate trips for (minutes after midnight)
+ * @param {Object|null} schedule - Schedule of the route (ServiceSchedule.getSchedule)
+ * @param {string} serviceHours - Default "HH:MM-HH:MM" when there is no schedule
+ * @param {number} headwayMinutes - Default headway when there is no schedule
+ * @returns {Array<Object>} - [{ serviceId, start, end, minutes }]
+ */
+function serviceBands(schedule, serviceHours, headwayMinutes) {
+  if (!schedule) {
+    const [start, end] = serviceHours.split('-').map(parseClock);
+    return [{ serviceId: 'DAILY', start, end, minutes: headwayMinutes }];
+  }
+
+  const { weekday, weekend, daily } = schedule.service;
+  const days = [];
+  const weekdayService = weekday || daily;
+  const weekendService = weekend || daily;
+
+  if (weekdayService && weekdayService === weekendService) {
+    days.push({ serviceId: 'DAILY', service: weekdayService });
+  } else {
+    if (weekdayService) days.push({ serviceId: 'WEEKDAY', service: weekdayService });
+    if (weekendService) days.push({ serviceId: 'WEEKEND', service: weekendService });
+  }
+
+  const bands = [];
+  for (const { serviceId, service } of days) {
+    const headways = service.headways || [];
+    if (headways.length > 0) {
+      for (const h of headways) {
+        bands.push({ serviceId, start: parseClock(h.start), end: parseClock(h.end), minutes: h.minutes });
+      }
+    } else {
+      // No headways known: one timetabled trip at the first (and last) bus
+      bands.push({ serviceId, start: parseClock(service.first), end: null, minutes: null });
+      if (service.last !== service.first) {
+        bands.push({ serviceId, start: parseClock(service.last), end: null, minutes: null });
+      }
+    }
+  }
+
+  return bands;
+}
+
+/**
+ * Check generated tables for references to missing rows
+ * @param {Object} tables - file name → rows
+ * @returns {Array<string>} - Error messages
+ */
+function validateFeed(tables) {
+  const errors = [];
+  const ids = (file, column) => new Set(tables[file].map(row => String(row[column])));
+
+  const agencyIds = ids('agency.txt', 'agency_id');
+  const stopIds = ids('stops.txt', 'stop_id');
+  const routeIds = ids('routes.txt', 'route_id');
+  const tripIds = ids('trips.txt', 'trip_id');
+  const serviceIds = ids('calendar.txt', 'service_id');
+  const shapeIds = ids('shapes.txt', 'shape_id');
+
+  const check = (file, column, known, allowEmpty = false) => {
+    for (const row of tables[file]) {
+      const value = String(row[column] ?? '');
+      if (allowEmpty && value === '') continue;
+      if (!known.has(value)) errors.push(`${file}: ${column} "${value}" does not exist`);
+    }
+  };
+
+  check('routes.txt', 'agency_id', agencyIds);
+  check('trips.txt', 'route_id', routeIds);
+  check('trips.txt', 'service_id', serviceIds);
+  check('trips.txt', 'shape_id', shapeIds, true);
+  check('stop_times.txt', 'trip_id', tripIds);
+  check('stop_times.txt', 'stop_id', stopIds);
+  check('frequencies.txt', 'trip_id', tripIds);
+
+  return errors;
+}
+
+/**
+ * Serialize tables into a GTFS zip
+ * @param {Object} tables - file name → rows
+ * @returns {Buffer}
+ */
+function buildZip(tables) {
+  return writeZip(
+    Object.keys(COLUMNS)
+      .filter(name => tables[name].length > 0)
+      .map(name => ({ name, data: toCsv(tables[name], COLUMNS[name]) }))
+  );
+}
+
+/**
+ * Parse "HH:MM" into minutes after midnight
+ * @param {string} clock
+ * @returns {number}
+ */
+function parseClock(clock) {
+  const [hours, minutes] = String(clock).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Format seconds after midnight as GTFS "HH:MM:SS" (hours may exceed 23)
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatGtfsTime(seconds) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds % 3600 / 60))}:${pad(seconds % 60)}`;
+}
+
+/**
+ * Format a date as GTFS YYYYMMDD
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const dataDir = option('--data', 'data');
+  const outFile = option('--out', 'ybs-gtfs.zip');
+
+  (async () => {
+    const dataset = loadDataset(dataDir);
+    const geometry = await buildGeometry(dataset);
+
+    for (const file of dataset.missingFiles) {
+      console.warn(`[GtfsExport] Listed in index but missing: ${file} (skipped)`);
+    }
+    for (const { file, error } of dataset.invalidFiles) {
+      console.warn(`[GtfsExport] Invalid JSON in ${file}: ${error} (skipped)`);
+    }
+
+    const referenceErrors = validateStopReferences(dataset);
+    if (referenceErrors.length > 0) {
+      referenceErrors.forEach(error => console.error(`[GtfsExport] ${error}`));
+      console.error(`[GtfsExport] ${referenceErrors.length} invalid stop references, nothing written`);
+      process.exit(1);
+    }
+
+    const tables = exportGtfs(dataset, {
+      startDate: option('--start'),
+      endDate: option('--end'),
+      serviceHours: option('--service-hours'),
+      headwayMinutes: option('--headway') ? Number(option('--headway')) : undefined,
+      geometry
+    });
+
+    const feedErrors = validateFeed(tables);
+    if (feedErrors.length > 0) {
+      feedErrors.forEach(error => console.error(`[GtfsExport] ${error}`));
+      process.exit(1);
+    }
+
+    fs.writeFileSync(outFile, buildZip(tables));
+    console.log(`[GtfsExport] Wrote ${path.resolve(outFile)}: ${tables['routes.txt'].length} routes, ${tables['stops.txt'].length} stops, ${tables['trips.txt'].length} trips`);
+  })().catch(error => {
+    console.error('[GtfsExport] Export failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  exportGtfs,
+  buildGeometry,
+  validateStopReferences,
+  validateFeed,
+  buildZip
+};
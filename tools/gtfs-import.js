@@ -0,0 +1,599 @@
+#!/usr/bin/env node
+/**
+ * GTFS Import - Convert a GTFS static feed into the site's data layout
+ *
+ * Reads stops.txt, routes.txt, trips.txt, stop_times.txt and (optionally)
+ * shapes.txt, frequencies.txt, calendar.txt and translations.txt, and writes:
+ *
+ *   <out>/stops.tsv               - Stop table (StopMatcher)
+ *   <out>/routes-index.json       - Route number → route files
+ *   <out>/routes/<file>.json      - One file per stop pattern (RouteIndex)
+ *   <out>/schedules-index.json    - Route number → schedule files
+ *   <out>/schedules/<file>.json   - First/last bus and headways (ServiceSchedule)
+ *
+ * Every distinct stop sequence of a GTFS route (per direction) becomes its
+ * own route file, named after the trip headsign like the existing branch
+ * files (e.g. route15-ShwePaukKan.json).
+ *
+ * Usage:
+ *   node tools/gtfs-import.js <feed.zip|feed-dir> [--out data] [--clean]
+ *
+ *   --out    Output directory (default: data)
+ *   --clean  Remove existing route/schedule JSON files in the output first
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readZip } = require('./lib/zip');
+const { parseCsv } = require('./lib/csv');
+
+const FEED_FILES = [
+  'agency.txt', 'stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt',
+  'shapes.txt', 'frequencies.txt', 'calendar.txt', 'translations.txt'
+];
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+const TRANSLATION_LANGUAGE = 'my';
+const STOPS_COLUMNS = [
+  'id', 'lat', 'lng', 'name_en', 'name_mm',
+  'road_en', 'road_mm', 'township_en', 'township_mm'
+];
+
+/**
+ * Read a GTFS feed from a zip file or an unpacked directory
+ * @param {string} feedPath
+ * @returns {Object} - file name → parsed rows (missing optional files → [])
+ */
+function readFeed(feedPath) {
+  const files = {};
+
+  if (fs.statSync(feedPath).isDirectory()) {
+    for (const name of FEED_FILES) {
+      const filePath = path.join(feedPath, name);
+      files[name] = fs.existsSync(filePath) ? parseCsv(fs.readFileSync(filePath, 'utf8')) : [];
+    }
+  } else {
+    const entries = readZip(fs.readFileSync(feedPath));
+    // Some feeds nest the files inside a folder
+    const byBaseName = new Map();
+    for (const [name, data] of entries) byBaseName.set(path.basename(name), data);
+
+    for (const name of FEED_FILES) {
+      files[name] = byBaseName.has(name) ? parseCsv(byBaseName.get(name).toString('utf8')) : [];
+    }
+  }
+
+  for (const name of REQUIRED_FILES) {
+    if (files[name].length === 0) {
+      throw new Error(`GTFS feed is missing required file ${name}`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Convert parsed GTFS tables into the site's structures
+ * @param {Object} feed - Output of readFeed()
+ * @returns {Object} - { stopsData, routes, routesIndex, schedules, schedulesIndex }
+ *   stopsData/routes are what StopMatcher.initialize / RouteIndex.initialize take
+ */
+function importGtfs(feed) {
+  const translations = buildTranslations(feed['translations.txt']);
+  const stopsData = buildStops(feed['stops.txt'], translations);
+
+  const defaultAgency = feed['agency.txt'][0] ? feed['agency.txt'][0].agency_id || '' : '';
+  const gtfsRoutes = new Map(feed['routes.txt'].map(route => [route.route_id, route]));
+  const stopTimesByTrip = groupStopTimes(feed['stop_times.txt']);
+  const shapes = buildShapes(feed['shapes.txt']);
+  const frequencies = groupBy(feed['frequencies.txt'], row => row.trip_id);
+  const dayTypes = buildServiceDayTypes(feed['calendar.txt']);
+
+  const patterns = buildPatterns(feed['trips.txt'], stopTimesByTrip, stopsData);
+
+  const routes = [];
+  const routesIndex = {};
+  const schedules = [];
+  const schedulesIndex = {};
+  const usedIds = new Set();
+  const shortNameCounts = groupBy(feed['routes.txt'], route => route.route_short_name || route.route_id);
+
+  for (const [gtfsRouteId, routePatterns] of patterns) {
+    const gtfsRoute = gtfsRoutes.get(gtfsRouteId);
+    if (!gtfsRoute) {
+      console.warn(`[GtfsImport] Trips reference unknown route ${gtfsRouteId}, skipping`);
+      continue;
+    }
+
+    const routeNum = gtfsRoute.route_short_name || gtfsRoute.route_id;
+    // Variants sharing a route number (e.g. "15") keep their own GTFS route_id
+    const baseId = shortNameCounts.get(routeNum).length > 1 ? gtfsRoute.route_id : routeNum;
+
+    for (const pattern of routePatterns) {
+      const suffix = routePatterns.length > 1 ? patternSuffix(pattern) : '';
+      const routeId = uniqueId(suffix ? `${baseId}-${suffix}` : baseId, usedIds);
+      const file = `route${routeId.replace(/[^A-Za-z0-9-]+/g, '')}.json`;
+      const sampleTrip = pattern.trips[0];
+
+      const route = {
+        agency_id: gtfsRoute.agency_id || defaultAgency,
+        color: (gtfsRoute.route_color || '').replace('#', '').toUpperCase() || '667EEA',
+        name: routeName(gtfsRoute, sampleTrip, translations),
+        route_id: routeId,
+        shape: buildShapeFeature(shapes.get(sampleTrip.shape_id), pattern.stops, stopsData),
+        stops: pattern.stops.map(toStopRef)
+      };
+
+      routes.push({ ...route, route_num: routeNum, file: file });
+      (routesIndex[routeNum] = routesIndex[routeNum] || []).push(file);
+
+      const schedule = buildSchedule(file, routeId, pattern.trips, stopTimesByTrip, frequencies, dayTypes);
+      if (schedule) {
+        schedules.push({ file: file, schedule: schedule });
+        (schedulesIndex[routeNum] = schedulesIndex[routeNum] || []).push(file);
+      }
+    }
+  }
+
+  console.log(`[GtfsImport] Imported ${Object.keys(stopsData).length} stops, ${routes.length} route patterns, ${schedules.length} schedules`);
+
+  return { stopsData, routes, routesIndex, schedules, schedulesIndex };
+}
+
+/**
+ * Build translated names from translations.txt
+ * @param {Array<Object>} rows
+ * @returns {Map<string, string>} - "table:field:recordId" or "table:field:=value" → text
+ */
+function buildTranslations(rows) {
+  const translations = new Map();
+
+  for (const row of rows) {
+    if (row.language !== TRANSLATION_LANGUAGE) continue;
+    const key = row.record_id
+      ? `${row.table_name}:${row.field_name}:${row.record_id}`
+      : `${row.table_name}:${row.field_name}:=${row.field_value}`;
+    translations.set(key, row.translation);
+  }
+
+  return translations;
+}
+
+/**
+ * Look up a translated field value
+ * @param {Map} translations
+ * @param {string} table
+ * @param {string} field
+ * @param {string} recordId
+ * @param {string} value - Untranslated value
+ * @returns {string|null}
+ */
+function translate(translations, table, field, recordId, value) {
+  return translations.get(`${table}:${field}:${recordId}`) ||
+    translations.get(`${table}:${field}:=${value}`) ||
+    null;
+}
+
+/**
+ * Build stopsData (id → stop) from stops.txt, skipping stations and entrances
+ * @param {Array<Object>} rows
+ * @param {Map} translations
+ * @returns {Object}
+ */
+function buildStops(rows, translations) {
+  const stopsData = {};
+
+  for (const row of rows) {
+    if (row.location_type && row.location_type !== '0') continue;
+
+    const lat = parseFloat(row.stop_lat);
+    const lng = parseFloat(row.stop_lon);
+    if (isNaN(lat) || isNaN(lng)) {
+      console.warn(`[GtfsImport] Stop ${row.stop_id} has no coordinates, skipping`);
+      continue;
+    }
+
+    const name = row.stop_name || row.stop_id;
+    stopsData[row.stop_id] = {
+      id: row.stop_id,
+      lat: lat,
+      lng: lng,
+      name_en: name,
+      name_mm: translate(translations, 'stops', 'stop_name', row.stop_id, name) || name,
+      road_en: '',
+      road_mm: '',
+      township_en: '',
+      township_mm: ''
+    };
+  }
+
+  return stopsData;
+}
+
+/**
+ * Group stop_times.txt by trip, ordered by stop_sequence
+ * @param {Array<Object>} rows
+ * @returns {Map<string, Array<Object>>}
+ */
+function groupStopTimes(rows) {
+  const byTrip = groupBy(rows, row => row.trip_id);
+  for (const stopTimes of byTrip.values()) {
+    stopTimes.sort((a, b) => Number(a.stop_sequence) - Number(b.stop_sequence));
+  }
+  return byTrip;
+}
+
+/**
+ * Build shape polylines from shapes.txt
+ * @param {Array<Object>} rows
+ * @returns {Map<string, Array<Array<number>>>} - shape_id → [[lng, lat], ...]
+ */
+function buildShapes(rows) {
+  const shapes = new Map();
+
+  for (const [shapeId, points] of groupBy(rows, row => row.shape_id)) {
+    points.sort((a, b) => Number(a.shape_pt_sequence) - Number(b.shape_pt_sequence));
+    shapes.set(shapeId, points.map(p => [parseFloat(p.shape_pt_lon), parseFloat(p.shape_pt_lat)]));
+  }
+
+  return shapes;
+}
+
+/**
+ * Map service_id → day types it runs on ('weekday' / 'weekend')
+ * @param {Array<Object>} rows - calendar.txt
+ * @returns {Map<string, Array<string>>}
+ */
+function buildServiceDayTypes(rows) {
+  const dayTypes = new Map();
+
+  for (const row of rows) {
+    const types = [];
+    if (['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].some(day => row[day] === '1')) {
+      types.push('weekday');
+    }
+    if (['saturday', 'sunday'].some(day => row[day] === '1')) {
+      types.push('weekend');
+    }
+    dayTypes.set(row.service_id, types);
+  }
+
+  return dayTypes;
+}
+
+/**
+ * Group trips into stop patterns per route and direction
+ * @param {Array<Object>} trips
+ * @param {Map} stopTimesByTrip
+ * @param {Object} stopsData
+ * @returns {Map<string, Array<Object>>} - route_id → [{ directionId, stops, trips }]
+ *   patterns ordered by direction, then by number of trips (most common first)
+ */
+function buildPatterns(trips, stopTimesByTrip, stopsData) {
+  const patternsByKey = new Map();
+
+  for (const trip of trips) {
+    const stopTimes = stopTimesByTrip.get(trip.trip_id);
+    if (!stopTimes || stopTimes.length < 2) continue;
+
+    const stops = stopTimes.map(st => st.stop_id).filter(id => stopsData[id]);
+    if (stops.length < stopTimes.length) {
+      console.warn(`[GtfsImport] Trip ${trip.trip_id} references unknown stops, dropped them`);
+    }
+    if (stops.length < 2) continue;
+
+    const directionId = trip.direction_id || '0';
+    const key = `${trip.route_id}|${directionId}|${stops.join(',')}`;
+    if (!patternsByKey.has(key)) {
+      patternsByKey.set(key, { routeId: trip.route_id, directionId, stops, trips: [] });
+    }
+    patternsByKey.get(key).trips.push(trip);
+  }
+
+  const patterns = groupBy(Array.from(patternsByKey.values()), p => p.routeId);
+  for (const routePatterns of patterns.values()) {
+    routePatterns.sort((a, b) =>
+      a.directionId.localeCompare(b.directionId) || b.trips.length - a.trips.length
+    );
+  }
+
+  return patterns;
+}
+
+/**
+ * File/ID suffix for a pattern: its headsign in CamelCase, or the direction
+ * @param {Object} pattern
+ * @returns {string}
+ */
+function patternSuffix(pattern) {
+  const headsign = pattern.trips.map(t => t.trip_headsign).find(Boolean);
+  return sanitizeName(headsign || '') || `Dir${pattern.directionId}`;
+}
+
+/**
+ * Display name for a route file
+ * @param {Object} gtfsRoute
+ * @param {Object} trip - Sample trip of the pattern
+ * @param {Map} translations
+ * @returns {string}
+ */
+function routeName(gtfsRoute, trip, translations) {
+  const longName = gtfsRoute.route_long_name;
+  const translated = longName &&
+    translate(translations, 'routes', 'route_long_name', gtfsRoute.route_id, longName);
+  if (translated || longName) return translated || longName;
+
+  return [gtfsRoute.route_short_name, trip.trip_headsign].filter(Boolean).join(' ') || gtfsRoute.route_id;
+}
+
+/**
+ * Build the GeoJSON shape of a route file (stop locations when no shape exists)
+ * @param {Array|undefined} coordinates - [[lng, lat], ...]
+ * @param {Array<string>} stops
+ * @param {Object} stopsData
+ * @returns {Object}
+ */
+function buildShapeFeature(coordinates, stops, stopsData) {
+  return {
+    geometry: {
+      coordinates: coordinates || stops.map(id => [stopsData[id].lng, stopsData[id].lat]),
+      type: 'LineString'
+    },
+    properties: {},
+    type: 'Feature'
+  };
+}
+
+/**
+ * Build a ServiceSchedule object for a pattern's trips
+ * Uses frequencies.txt where present, otherwise each trip's first departure.
+ * @param {string} routeFile - Route file the schedule is for
+ * @param {string} routeId
+ * @param {Array<Object>} trips
+ * @param {Map} stopTimesByTrip
+ * @param {Map} frequencies
+ * @param {Map} dayTypes
+ * @returns {Object|null}
+ */
+function buildSchedule(routeFile, routeId, trips, stopTimesByTrip, frequencies, dayTypes) {
+  const service = {};
+
+  for (const trip of trips) {
+    // Without calendar.txt every trip is treated as daily
+    const types = dayTypes.size > 0 ? dayTypes.get(trip.service_id) || [] : ['daily'];
+
+    for (const type of types) {
+      const day = service[type] = service[type] || { bands: [], departures: [] };
+      const tripFrequencies = frequencies.get(trip.trip_id);
+
+      if (tripFrequencies) {
+        for (const f of tripFrequencies) {
+          day.bands.push({
+            start: parseGtfsTime(f.start_time),
+            end: parseGtfsTime(f.end_time),
+            minutes: Math.round(Number(f.headway_secs) / 60)
+          });
+        }
+      } else {
+        const first = stopTimesByTrip.get(trip.trip_id)[0];
+        const departure = parseGtfsTime(first.departure_time || first.arrival_time);
+        if (departure !== null) day.departures.push(departure);
+      }
+    }
+  }
+
+  const result = {};
+  for (const [type, day] of Object.entries(service)) {
+    const serviceDay = buildServiceDay(day);
+    if (serviceDay) result[type] = serviceDay;
+  }
+
+  if (Object.keys(result).length === 0) return null;
+  return { route_file: routeFile, route_id: routeId, service: result };
+}
+
+/**
+ * Turn headway bands / individual departures into { first, last, headways }
+ * @param {Object} day - { bands, departures } in minutes after midnight
+ * @returns {Object|null}
+ */
+function buildServiceDay(day) {
+  const bands = day.bands.filter(b => b.start !== null && b.end !== null && b.minutes > 0);
+  const departures = day.departures.sort((a, b) => a - b);
+
+  if (bands.length === 0 && departures.length === 0) return null;
+
+  if (bands.length === 0 && departures.length > 1) {
+    // Average gap between scheduled departures over the day
+    const first = departures[0];
+    const last = departures[departures.length - 1];
+    bands.push({
+      start: first,
+      end: last,
+      minutes: Math.max(1, Math.round((last - first) / (departures.length - 1)))
+    });
+  }
+
+  bands.sort((a, b) => a.start - b.start);
+  const starts = bands.map(b => b.start).concat(departures);
+  const ends = bands.map(b => b.end).concat(departures);
+
+  return {
+    first: formatClock(Math.min(...starts)),
+    last: formatClock(Math.max(...ends)),
+    headways: bands.map(b => ({
+      start: formatClock(b.start),
+      end: formatClock(b.end),
+      minutes: b.minutes
+    }))
+  };
+}
+
+/**
+ * Parse a GTFS "H:MM:SS" time (hours may exceed 23) into minutes after midnight
+ * @param {string} time
+ * @returns {number|null}
+ */
+function parseGtfsTime(time) {
+  if (!time) return null;
+  const [hours, minutes, seconds] = time.split(':').map(Number);
+  if (isNaN(hours) || isNaN(minutes)) return null;
+  return hours * 60 + minutes + Math.round((seconds || 0) / 60);
+}
+
+/**
+ * Format minutes after midnight as "HH:MM" (hours may exceed 23)
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatClock(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Write the imported structures in the site's data layout
+ * @param {string} outDir
+ * @param {Object} result - Output of importGtfs()
+ * @param {Object} [options] - { clean: remove existing route/schedule files first }
+ */
+function writeDataset(outDir, result, options = {}) {
+  const routesDir = path.join(outDir, 'routes');
+  const schedulesDir = path.join(outDir, 'schedules');
+  fs.mkdirSync(routesDir, { recursive: true });
+  fs.mkdirSync(schedulesDir, { recursive: true });
+
+  if (options.clean) {
+    for (const dir of [routesDir, schedulesDir]) {
+      for (const name of fs.readdirSync(dir)) {
+        if (name.endsWith('.json')) fs.unlinkSync(path.join(dir, name));
+      }
+    }
+  }
+
+  const lines = [STOPS_COLUMNS.join('\t')];
+  for (const stop of Object.values(result.stopsData)) {
+    lines.push(STOPS_COLUMNS.map(column => String(stop[column] ?? '').replace(/[\t\n]/g, ' ')).join('\t'));
+  }
+  fs.writeFileSync(path.join(outDir, 'stops.tsv'), lines.join('\n') + '\n');
+
+  for (const route of result.routes) {
+    const { route_num, file, ...routeJson } = route;
+    fs.writeFileSync(path.join(routesDir, file), toDataJson(routeJson));
+  }
+  for (const { file, schedule } of result.schedules) {
+    fs.writeFileSync(path.join(schedulesDir, file), toDataJson(schedule));
+  }
+
+  fs.writeFileSync(path.join(outDir, 'routes-index.json'), toDataJson(result.routesIndex));
+  fs.writeFileSync(path.join(outDir, 'schedules-index.json'), toDataJson(result.schedulesIndex));
+
+  console.log(`[GtfsImport] Wrote ${result.routes.length} route files to ${outDir}`);
+}
+
+/**
+ * Serialize JSON the way the existing data files are formatted
+ * (sorted keys, 2-space indent, ASCII-escaped)
+ * @param {*} value
+ * @returns {string}
+ */
+function toDataJson(value) {
+  return JSON.stringify(sortKeys(value), null, 2)
+    .replace(/,\n/g, ', \n')
+    .replace(/[\u007f-\uffff]/g, char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0'));
+}
+
+/**
+ * Recursively sort object keys
+ * @param {*} value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === 'object') {
+    const sorted = {};
+    for (const key of Object.keys(value).sort()) sorted[key] = sortKeys(value[key]);
+    return sorted;
+  }
+  return value;
+}
+
+/**
+ * Route files store numeric stop IDs as numbers
+ * @param {string} stopId
+ * @returns {number|string}
+ */
+function toStopRef(stopId) {
+  return /^\d+$/.test(stopId) ? Number(stopId) : stopId;
+}
+
+/**
+ * Turn free text into a CamelCase file-name part ("Shwe Pauk Kan" → "ShwePaukKan")
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeName(text) {
+  return String(text)
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Make an ID unique by appending a counter
+ * @param {string} id
+ * @param {Set<string>} used
+ * @returns {string}
+ */
+function uniqueId(id, used) {
+  let candidate = id;
+  for (let n = 2; used.has(candidate); n++) candidate = `${id}-${n}`;
+  used.add(candidate);
+  return candidate;
+}
+
+/**
+ * Group an array into a Map by key
+ * @param {Array} items
+ * @param {Function} keyFn
+ * @returns {Map<string, Array>}
+ */
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const feedPath = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--out');
+  const outIndex = args.indexOf('--out');
+  const outDir = outIndex >= 0 ? args[outIndex + 1] : 'data';
+
+  if (!feedPath) {
+    console.error('Usage: node tools/gtfs-import.js <feed.zip|feed-dir> [--out data] [--clean]');
+    process.exit(1);
+  }
+
+  try {
+    const result = importGtfs(readFeed(feedPath));
+    writeDataset(outDir, result, { clean: args.includes('--clean') });
+  } catch (error) {
+    console.error('[GtfsImport] Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  readFeed,
+  importGtfs,
+  writeDataset,
+  toDataJson,
+  parseGtfsTime,
+  formatClock
+};
@@ -0,0 +1,97 @@
+/**
+ * Minimal CSV parser/writer for GTFS text files (RFC 4180 quoting)
+ */
+
+/**
+ * Parse CSV text into row objects keyed by the header row
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+function parseCsv(text) {
+  const rows = parseRows(text.replace(/^﻿/, ''));
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(name => name.trim());
+  return rows.slice(1)
+    .filter(row => row.length > 1 || (row[0] && row[0].trim()))
+    .map(row => {
+      const record = {};
+      header.forEach((name, i) => {
+        record[name] = row[i] !== undefined ? row[i].trim() : '';
+      });
+      return record;
+    });
+}
+
+/**
+ * Split CSV text into rows of fields
+ * @param {string} text
+ * @returns {Array<Array<string>>}
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Serialize row objects as CSV with a header row
+ * @param {Array<Object>} rows
+ * @param {Array<string>} columns - Column order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => quoteField(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Quote a CSV field when it contains separators, quotes or newlines
+ * @param {*} value
+ * @returns {string}
+ */
+function quoteField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = { parseCsv, toCsv };
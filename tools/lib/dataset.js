@@ -0,0 +1,84 @@
+/**
+ * Dataset loader - Read the site's data directory in Node
+ *
+ * Mirrors what the pages do in loadData(): stops.tsv → stopsData,
+ * routes-index.json + routes/*.json → routes array (with route_num/file),
+ * plus the optional schedules, landmarks, stop amenities and fares.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const dataLoader = require('../../js/dataLoader.js');
+
+/**
+ * Load stops, routes, schedules, landmarks, stop amenities and fares from a data directory
+ * @param {string} dataDir
+ * @returns {Object} - { stopsData, routes, routesIndex, schedules, landmarks, amenities, fares, missingFiles,
+ *   invalidFiles }
+ *   missingFiles lists index entries whose file does not exist,
+ *   invalidFiles route files and fares.json when not valid JSON ({ file, error })
+ */
+function loadDataset(dataDir) {
+  const stopsData = dataLoader.parseStopsTsv(fs.readFileSync(path.join(dataDir, 'stops.tsv'), 'utf8'));
+  const routesIndex = JSON.parse(fs.readFileSync(path.join(dataDir, 'routes-index.json'), 'utf8'));
+
+  const routes = [];
+  const missingFiles = [];
+  const invalidFiles = [];
+
+  for (const [routeNum, files] of Object.entries(routesIndex)) {
+    for (const file of files) {
+      const filePath = path.join(dataDir, 'routes', file);
+      if (!fs.existsSync(filePath)) {
+        missingFiles.push(`routes/${file}`);
+        continue;
+      }
+      try {
+        const route = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        routes.push({ ...route, route_num: routeNum, file: file });
+      } catch (error) {
+        invalidFiles.push({ file: `routes/${file}`, error: error.message });
+      }
+    }
+  }
+
+  const schedules = [];
+  const schedulesIndexPath = path.join(dataDir, 'schedules-index.json');
+  if (fs.existsSync(schedulesIndexPath)) {
+    const schedulesIndex = JSON.parse(fs.readFileSync(schedulesIndexPath, 'utf8'));
+    for (const files of Object.values(schedulesIndex)) {
+      for (const file of files) {
+        const filePath = path.join(dataDir, 'schedules', file);
+        if (!fs.existsSync(filePath)) {
+          missingFiles.push(`schedules/${file}`);
+          continue;
+        }
+        schedules.push(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+      }
+    }
+  }
+
+  const landmarksPath = path.join(dataDir, 'landmarks.tsv');
+  const landmarks = fs.existsSync(landmarksPath)
+    ? dataLoader.parseLandmarksTsv(fs.readFileSync(landmarksPath, 'utf8'))
+    : [];
+
+  const amenitiesPath = path.join(dataDir, 'stop-amenities.tsv');
+  const amenities = fs.existsSync(amenitiesPath)
+    ? dataLoader.parseAmenitiesTsv(fs.readFileSync(amenitiesPath, 'utf8'))
+    : [];
+
+  let fares = null;
+  const faresPath = path.join(dataDir, 'fares.json');
+  if (fs.existsSync(faresPath)) {
+    try {
+      fares = JSON.parse(fs.readFileSync(faresPath, 'utf8'));
+    } catch (error) {
+      invalidFiles.push({ file: 'fares.json', error: error.message });
+    }
+  }
+
+  return { stopsData, routes, routesIndex, schedules, landmarks, amenities, fares, missingFiles, invalidFiles };
+}
+
+module.exports = { loadDataset };
@@ -0,0 +1,390 @@
+#!/usr/bin/env node
+/**
+ * Data Validation - Check the route and stop dataset before shipping
+ *
+ * Loads data/ the way the site does (StopMatcher, RouteIndex, RouteGeometry)
+ * and reports problems grouped by check. Errors break the site and make the
+ * command exit with code 1 (for CI); warnings are reported only, unless
+ * --strict is given.
+ *
+ * Errors:
+ * - missing-file       routes-index.json lists a file that does not exist
+ * - invalid-json       route file or fares.json cannot be parsed
+ * - missing-stop       route references a stop ID not in stops.tsv
+ * - empty-route        route has fewer than 2 stops
+ * - duplicate-route-id two route files share a route_id
+ * - bad-color          route color is not a 6-digit hex value (e.g. "405CAA")
+ * - missing-landmark-stop landmarks.tsv links a landmark to a stop ID not in stops.tsv
+ * - missing-amenity-stop  stop-amenities.tsv has a row for a stop ID not in stops.tsv
+ *
+ * Warnings:
+ * - unindexed-file     route file not listed in routes-index.json
+ * - orphan-stop        stop in stops.tsv served by no route
+ * - duplicate-stop     stops with the same name closer than --duplicate-distance
+ * - missing-shape      route has no usable shape
+ * - far-from-shape     stop further than --max-shape-distance from its route's shape
+ * - busdata-mismatch   busData.ts / busdata.txt disagree with each other or the JSON routes
+ * - isolated-landmark  landmark with no served stop linked or within --landmark-distance
+ * - stale-bundle       network-bundle.json or version.json was built from other data (rerun tools/build-bundle.js)
+ *
+ * Usage:
+ *   node tools/validate-data.js [--data data] [--strict]
+ *     [--max-shape-distance 300] [--duplicate-distance 5] [--landmark-distance 500] [--max-shown 20]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadDataset } = require('./lib/dataset');
+const { hashSources, BUNDLE_FILE, VERSION_FILE } = require('./build-bundle');
+const stopMatcher = require('../js/stopMatcher.js');
+const routeIndex = require('../js/routeIndex.js');
+const routeGeometry = require('../js/geometry.js');
+const myanmarText = require('../js/myanmarText.js');
+const networkBundle = require('../js/networkBundle.js');
+
+const CHECKS = {
+  'missing-file': 'error',
+  'invalid-json': 'error',
+  'missing-stop': 'error',
+  'empty-route': 'error',
+  'duplicate-route-id': 'error',
+  'bad-color': 'error',
+  'missing-landmark-stop': 'error',
+  'missing-amenity-stop': 'error',
+  'unindexed-file': 'warning',
+  'orphan-stop': 'warning',
+  'duplicate-stop': 'warning',
+  'missing-shape': 'warning',
+  'far-from-shape': 'warning',
+  'busdata-mismatch': 'warning',
+  'isolated-landmark': 'warning',
+  'stale-bundle': 'warning'
+};
+
+const BUSDATA_FILES = ['busData.ts', 'busdata.txt'];
+const MIN_NAME_OVERLAP = 0.2;  // Share of busData stop names found in the JSON route
+
+/**
+ * Run every check against a data directory
+ * @param {string} dataDir
+ * @param {Object} [options] - { maxShapeDistance, duplicateDistance, landmarkDistance }
+ * @returns {Promise<Map<string, Array<string>>>} - check name → problem messages
+ */
+async function validateData(dataDir, options = {}) {
+  const {
+    maxShapeDistance = 300,   // m
+    duplicateDistance = 5,    // m
+    landmarkDistance = 500    // m
+  } = options;
+
+  const problems = new Map(Object.keys(CHECKS).map(check => [check, []]));
+  const report = (check, message) => problems.get(check).push(message);
+
+  const dataset = loadDataset(dataDir);
+
+  // Keep the site modules quiet while loading
+  const log = console.log;
+  console.log = () => {};
+  try {
+    stopMatcher.initialize(dataset.stopsData);
+    await routeIndex.initialize(dataset.routes, dataset.stopsData, stopMatcher);
+    routeGeometry.initialize(routeIndex, stopMatcher);
+  } finally {
+    console.log = log;
+  }
+
+  for (const file of dataset.missingFiles) {
+    report('missing-file', `${file} is listed in the index but does not exist`);
+  }
+  for (const { file, error } of dataset.invalidFiles) {
+    report('invalid-json', `${file}: ${error}`);
+  }
+
+  checkIndexedFiles(dataDir, dataset, report);
+  checkRoutes(dataset, report, maxShapeDistance);
+  checkStops(dataset, report, duplicateDistance);
+  checkLandmarks(dataset, report, landmarkDistance);
+  checkAmenities(dataset, report);
+  checkBusData(dataDir, dataset, report);
+  checkBundle(dataDir, report);
+
+  return problems;
+}
+
+/**
+ * Route files on disk that the index does not list
+ */
+function checkIndexedFiles(dataDir, dataset, report) {
+  const indexed = new Set(Object.values(dataset.routesIndex).flat());
+
+  for (const file of fs.readdirSync(path.join(dataDir, 'routes'))) {
+    if (file.endsWith('.json') && !indexed.has(file)) {
+      report('unindexed-file', `routes/${file} is not listed in routes-index.json`);
+    }
+  }
+}
+
+/**
+ * Per-route checks: stops, route IDs, colors and shapes
+ */
+function checkRoutes(dataset, report, maxShapeDistance) {
+  const routeIds = new Map();
+
+  for (const route of dataset.routes) {
+    const stops = Array.isArray(route.stops) ? route.stops : [];
+
+    if (stops.length < 2) {
+      report('empty-route', `${route.file} has ${stops.length} stop${stops.length === 1 ? '' : 's'}`);
+    }
+
+    for (const stopId of stops) {
+      if (!dataset.stopsData[String(stopId)]) {
+        report('missing-stop', `${route.file} references stop ${stopId}`);
+      }
+    }
+
+    if (routeIds.has(route.route_id)) {
+      report('duplicate-route-id', `${route.file} and ${routeIds.get(route.route_id)} share route_id "${route.route_id}"`);
+    } else {
+      routeIds.set(route.route_id, route.file);
+    }
+
+    if (typeof route.color !== 'string' || !/^[0-9A-Fa-f]{6}$/.test(route.color)) {
+      report('bad-color', `${route.file} has color ${JSON.stringify(route.color)}`);
+    }
+
+    if (stops.length < 2) continue;
+
+    const routeKey = routeIndex.getRouteKey(route);
+    if (routeIndex.getRouteData(routeKey) !== route) continue;  // Not indexed
+
+    if (!routeGeometry.getRouteGeometry(routeKey)) {
+      report('missing-shape', `${route.file} has no usable shape`);
+      continue;
+    }
+
+    for (const stopId of new Set(stops.map(String))) {
+      const stop = dataset.stopsData[stopId];
+      if (!stop) continue;
+
+      const distance = routeGeometry.getDistanceToShape(routeKey, stop);
+      if (distance > maxShapeDistance) {
+        report('far-from-shape', `${route.file}: stop ${stopId} (${stop.name_en}) is ${Math.round(distance)} m from the shape`);
+      }
+    }
+  }
+}
+
+/**
+ * Stop checks: orphans and near-identical duplicates
+ */
+function checkStops(dataset, report, duplicateDistance) {
+  const normalize = name => String(name || '').trim().toLowerCase();
+
+  for (const stop of Object.values(dataset.stopsData)) {
+    if (routeIndex.getRoutes(stop.id).size === 0) {
+      report('orphan-stop', `stop ${stop.id} (${stop.name_en}) is not served by any route`);
+    }
+
+    for (const { stop: other, distance } of stopMatcher.findNearbyStops(stop.lat, stop.lng, duplicateDistance)) {
+      if (String(other.id) <= String(stop.id)) continue;  // Report each pair once
+      if (normalize(other.name_en) !== normalize(stop.name_en)) continue;
+
+      report('duplicate-stop', `stops ${stop.id} and ${other.id} (${stop.name_en}) are ${distance.toFixed(1)} m apart`);
+    }
+  }
+}
+
+/**
+ * Landmark checks: linked stops exist, and some served stop is in reach
+ */
+function checkLandmarks(dataset, report, landmarkDistance) {
+  const isServed = stop => routeIndex.getRoutes(stop.id).size > 0;
+
+  for (const landmark of dataset.landmarks) {
+    const linked = [];
+    for (const stopId of landmark.stopIds) {
+      const stop = dataset.stopsData[stopId];
+      if (stop) {
+        linked.push(stop);
+      } else {
+        report('missing-landmark-stop', `landmark ${landmark.id} (${landmark.name_en}) links stop ${stopId}`);
+      }
+    }
+
+    const nearby = stopMatcher.findNearbyStops(landmark.lat, landmark.lng, landmarkDistance).map(({ stop }) => stop);
+    if (!linked.concat(nearby).some(isServed)) {
+      report('isolated-landmark', `landmark ${landmark.id} (${landmark.name_en}) has no served stop within ${landmarkDistance} m`);
+    }
+  }
+}
+
+/**
+ * Stop amenity checks: every row is for a stop that exists
+ */
+function checkAmenities(dataset, report) {
+  for (const row of dataset.amenities) {
+    if (!dataset.stopsData[row.stopId]) {
+      report('missing-amenity-stop', `stop-amenities.tsv has a row for stop ${row.stopId}`);
+    }
+  }
+}
+
+/**
+ * Compare the busData.ts / busdata.txt route list with the JSON routes
+ */
+function checkBusData(dataDir, dataset, report) {
+  const files = BUSDATA_FILES.filter(file => fs.existsSync(path.join(dataDir, file)));
+  if (files.length === 0) return;
+
+  const contents = files.map(file => fs.readFileSync(path.join(dataDir, file), 'utf8'));
+  if (contents.length > 1 && contents.some(text => text !== contents[0])) {
+    report('busdata-mismatch', `${files.join(' and ')} differ`);
+  }
+
+  let busRoutes;
+  try {
+    busRoutes = parseBusData(contents[0]);
+  } catch (error) {
+    report('busdata-mismatch', `${files[0]} could not be parsed: ${error.message}`);
+    return;
+  }
+
+  const jsonRoutes = new Set(Object.keys(dataset.routesIndex));
+  const busIds = new Set(busRoutes.map(route => route.id));
+
+  for (const id of busIds) {
+    if (!jsonRoutes.has(id)) report('busdata-mismatch', `route "${id}" is in ${files[0]} but has no JSON route`);
+  }
+  for (const id of jsonRoutes) {
+    if (!busIds.has(id)) report('busdata-mismatch', `route "${id}" has JSON route files but is not in ${files[0]}`);
+  }
+
+  // Routes present in both should mostly name the same stops
+  for (const busRoute of busRoutes) {
+    const jsonStops = dataset.routes
+      .filter(route => route.route_num === busRoute.id)
+      .flatMap(route => route.stops || []);
+    if (jsonStops.length === 0 || !Array.isArray(busRoute.stops) || busRoute.stops.length === 0) continue;
+
+    const jsonNames = new Set(jsonStops
+      .map(stopId => dataset.stopsData[String(stopId)])
+      .filter(Boolean)
+      .map(stop => stop.name_mm.trim()));
+    const shared = busRoute.stops.filter(name => jsonNames.has(String(name).trim())).length;
+    const overlap = shared / busRoute.stops.length;
+
+    if (overlap < MIN_NAME_OVERLAP) {
+      report('busdata-mismatch', `route "${busRoute.id}": only ${Math.round(overlap * 100)}% of its ${files[0]} stops appear in the JSON route`);
+    }
+  }
+}
+
+/**
+ * Check that the network bundle and version manifest (if any) were built
+ * from the current files
+ */
+function checkBundle(dataDir, report) {
+  const sourceHash = hashSources(dataDir);
+  const bundlePath = path.join(dataDir, BUNDLE_FILE);
+  const versionPath = path.join(dataDir, VERSION_FILE);
+
+  if (fs.existsSync(versionPath)) {
+    let version = null;
+    try {
+      version = JSON.parse(fs.readFileSync(versionPath, 'utf8'));
+    } catch (error) {
+      // Reported below
+    }
+    if (!version || version.sourceHash !== sourceHash || version.bundleVersion !== networkBundle.version) {
+      report('stale-bundle', `${VERSION_FILE} is out of date, rebuild it with node tools/build-bundle.js`);
+    }
+  } else if (fs.existsSync(bundlePath)) {
+    report('stale-bundle', `${VERSION_FILE} is missing, rebuild it with node tools/build-bundle.js`);
+  }
+
+  if (!fs.existsSync(bundlePath)) return;
+
+  let bundle;
+  try {
+    bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  } catch (error) {
+    report('stale-bundle', `${BUNDLE_FILE} could not be parsed: ${error.message}`);
+    return;
+  }
+
+  const names = bundle.stopMatcher || {};
+  const index = bundle.routeIndex || {};
+  if (bundle.sourceHash !== sourceHash || bundle.version !== networkBundle.version ||
+      names.textVersion !== myanmarText.version ||
+      index.keyVersion !== routeIndex.keyVersion) {
+    report('stale-bundle', `${BUNDLE_FILE} is out of date, rebuild it with node tools/build-bundle.js`);
+  }
+}
+
+/**
+ * Parse the YBS_ROUTES array literal from busData.ts
+ * @param {string} text
+ * @returns {Array<Object>} - [{ id, color, stops: [name_mm] }]
+ */
+function parseBusData(text) {
+  const start = text.indexOf('[', text.indexOf('=', text.indexOf('YBS_ROUTES')));
+  const end = text.lastIndexOf(']');
+  const literal = text.slice(start, end + 1)
+    .replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":');  // Quote object keys
+  return JSON.parse(literal);
+}
+
+/**
+ * Print problems grouped by check
+ * @param {Map<string, Array<string>>} problems
+ * @param {number} maxShown - Messages shown per check
+ * @returns {Object} - { errors, warnings } counts
+ */
+function printReport(problems, maxShown) {
+  let errors = 0;
+  let warnings = 0;
+
+  for (const [check, messages] of problems) {
+    if (messages.length === 0) continue;
+
+    const severity = CHECKS[check];
+    if (severity === 'error') errors += messages.length;
+    else warnings += messages.length;
+
+    console.log(`\n${severity === 'error' ? '✗' : '⚠'} ${check} (${messages.length})`);
+    messages.slice(0, maxShown).forEach(message => console.log(`  ${message}`));
+    if (messages.length > maxShown) {
+      console.log(`  ... and ${messages.length - maxShown} more`);
+    }
+  }
+
+  console.log(`\n[Validate] ${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  return { errors, warnings };
+}
+
+// Command line entry point
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : fallback;
+  };
+
+  const dataDir = option('--data', 'data');
+
+  validateData(dataDir, {
+    maxShapeDistance: Number(option('--max-shape-distance', 300)),
+    duplicateDistance: Number(option('--duplicate-distance', 5)),
+    landmarkDistance: Number(option('--landmark-distance', 500))
+  }).then(problems => {
+    const { errors, warnings } = printReport(problems, Number(option('--max-shown', 20)));
+    const failed = errors > 0 || (args.includes('--strict') && warnings > 0);
+    process.exit(failed ? 1 : 0);
+  }).catch(error => {
+    console.error('[Validate] Validation failed:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { validateData, parseBusData, CHECKS };